@@ -0,0 +1,40 @@
+/*
+  Amounts split into deposits across the pool denominations, and notes added up into an amount
+*/
+
+const { toBN } = require('web3-utils')
+
+/**
+ * Split an amount into deposits, largest denomination first
+ * @param amount Amount in wei as BN
+ * @param pools Map of pool id to pool with a denomination in wei
+ * @returns Deposit plan ([{ pool, count }]) and the leftover in wei, below the smallest denomination
+ */
+function splitAmount(amount, pools) {
+  const byDenomination = [...pools.entries()].sort(([, a], [, b]) => b.denomination - a.denomination)
+  const plan = []
+  let leftover = amount
+  for (const [pool, { denomination }] of byDenomination) {
+    const value = toBN(denomination.toString())
+    const count = leftover.div(value).toNumber()
+    if (count > 0) {
+      plan.push({ pool, count })
+      leftover = leftover.sub(value.muln(count))
+    }
+  }
+  return { plan, leftover }
+}
+
+/**
+ * Total of notes, e.g. the ones withdrawn together
+ * @param notes Notes with an amount in wei
+ * @returns Total in wei as BN
+ */
+function notesTotal(notes) {
+  return notes.reduce((sum, { amount }) => sum.add(toBN(amount.toString())), toBN(0))
+}
+
+module.exports = {
+  splitAmount,
+  notesTotal
+}
@@ -0,0 +1,171 @@
+const fs = require('fs')
+const path = require('path')
+const crypto = require('crypto')
+const { toBN } = require('web3-utils')
+
+// base field of bn128, websnark keeps point coordinates in Montgomery form
+const FIELD_Q = toBN('21888242871839275222246405745257275088696311157297823662689037894645226208583')
+const MONTGOMERY_R = toBN(1).shln(256).umod(FIELD_Q)
+
+// websnark proving key layout: 10 uint32 header words, then alfa1, beta1, delta1 (G1), beta2, delta2 (G2)
+const PK_HEADER = ['nVars', 'nPublic', 'domainSize', 'pPolsA', 'pPolsB', 'pPointsA', 'pPointsB1', 'pPointsB2', 'pPointsC', 'pPointsHExps']
+const PK_ALFA1 = PK_HEADER.length * 4
+const PK_POLS_A = PK_ALFA1 + 3 * 64 + 2 * 128
+
+/**
+ * Circuit artifacts with their default file in the install's circuits directory.
+ * The circuit and the verification key are pinned by the sha256 of the released files. The proving
+ * keys are tied to the verification key instead: they must hold the same alfa1 point, which is unique
+ * to the trusted setup, and have the size their header describes. The circuit must match them in size.
+ */
+const ARTIFACTS = {
+  circuit: {
+    option: 'circuit',
+    description: 'circuit',
+    file: 'withdraw.json',
+    sha256: '3ddd61dbff09caeec82d8edde95c674a3c34f9e66b1fe9f2c8783e72fe536f98'
+  },
+  provingKey: {
+    option: 'proving-key',
+    description: 'proving key',
+    file: 'withdraw_proving_key.bin'
+  },
+  provingKeyJson: {
+    option: 'proving-key-json',
+    description: 'snarkjs proving key',
+    file: 'withdraw_proving_key.json'
+  },
+  verificationKey: {
+    option: 'verification-key',
+    description: 'verification key',
+    file: 'withdraw_verification_key.json',
+    sha256: 'eff240c8b20a39481c4b224fa4dc8a78366c83e02bc9c6463b93baa0d5fad949'
+  }
+}
+
+/**
+ * Locates circuit artifacts and checks their integrity before use
+ */
+class Artifacts {
+
+  /**
+   * @param options Parsed command line options, --circuit etc. override the defaults
+   * @param installDir Directory the CLI is installed in
+   */
+  constructor(options, installDir) {
+    this.paths = {}
+    for (const [name, artifact] of Object.entries(ARTIFACTS)) {
+      this.paths[name] = options[artifact.option]
+        ? path.resolve(options[artifact.option])
+        : path.join(installDir, 'circuits', artifact.file)
+    }
+  }
+
+  /**
+   * Read an artifact, failing with an explanation if it is missing or does not match its checksum
+   * @param name Artifact name
+   */
+  load(name) {
+    const artifact = ARTIFACTS[name]
+    const file = this.paths[name]
+    if (!fs.existsSync(file)) {
+      throw new Error(`The ${artifact.description} is missing: ${file} not found. ` +
+        `Put ${artifact.file} there or pass its location with --${artifact.option}`)
+    }
+    const data = fs.readFileSync(file)
+    if (data.length === 0) {
+      throw new Error(`The ${artifact.description} ${file} is empty`)
+    }
+    if (!artifact.sha256) {
+      return data
+    }
+    const hash = crypto.createHash('sha256').update(data).digest('hex')
+    if (hash !== artifact.sha256) {
+      throw new Error(`The ${artifact.description} ${file} is truncated or modified: ` +
+        `sha256 is ${hash}, expected ${artifact.sha256}`)
+    }
+    return data
+  }
+
+  /** Read and parse a JSON artifact */
+  json(name) {
+    try {
+      return JSON.parse(this.load(name).toString('utf8'))
+    } catch (e) {
+      if (e instanceof SyntaxError) {
+        throw new Error(`The ${ARTIFACTS[name].description} ${this.paths[name]} is not valid JSON, it may be truncated`)
+      }
+      throw e
+    }
+  }
+
+  /**
+   * Read the websnark proving key and check it against the verification key and the circuit
+   * @param verificationKey Parsed verification key
+   * @param circuit Parsed circuit
+   * @returns Proving key ArrayBuffer
+   */
+  provingKey(verificationKey, circuit) {
+    const data = this.load('provingKey')
+    const file = this.paths.provingKey
+    if (data.length < PK_POLS_A) {
+      throw new Error(`The proving key ${file} is truncated: ${data.length} bytes`)
+    }
+    const header = {}
+    PK_HEADER.forEach((name, i) => {
+      header[name] = data.readUInt32LE(i * 4)
+    })
+    // websnark's buildpkey writes domainSize hExps points last, the released tornado.cash keys one less
+    const sizes = [header.domainSize, header.domainSize - 1].map(points => header.pPointsHExps + points * 64)
+    const offsets = PK_HEADER.slice(3).map(name => header[name])
+    if (header.pPolsA !== PK_POLS_A || offsets.some((offset, i) => i > 0 && offset <= offsets[i - 1])) {
+      throw new Error(`The proving key ${file} is not a websnark proving key`)
+    }
+    if (!sizes.includes(data.length)) {
+      throw new Error(`The proving key ${file} is truncated or modified: ${data.length} bytes, expected ${sizes[0]}`)
+    }
+    const alfa1 = [0, 1].map(i => toBN(verificationKey.vk_alfa_1[i].toString()).mul(MONTGOMERY_R).umod(FIELD_Q).toArrayLike(Buffer, 'le', 32))
+    if (!data.slice(PK_ALFA1, PK_ALFA1 + 64).equals(Buffer.concat(alfa1))) {
+      throw new Error(`The proving key ${file} is from another trusted setup than the verification key`)
+    }
+    this.checkProvingKeySize(header, verificationKey, circuit)
+    return data.buffer.slice(data.byteOffset, data.byteOffset + data.length)
+  }
+
+  /**
+   * Read the snarkjs proving key and check it against the verification key and the circuit
+   * @param verificationKey Parsed verification key
+   * @param circuit Parsed circuit
+   */
+  provingKeyJson(verificationKey, circuit) {
+    const provingKey = this.json('provingKeyJson')
+    const alfa1 = provingKey.vk_alfa_1 || []
+    if ([0, 1].some(i => String(alfa1[i]) !== verificationKey.vk_alfa_1[i].toString())) {
+      throw new Error(`The snarkjs proving key ${this.paths.provingKeyJson} is from another trusted setup than the verification key`)
+    }
+    this.checkProvingKeySize(provingKey, verificationKey, circuit)
+    return provingKey
+  }
+
+  checkProvingKeySize({ nVars, nPublic }, verificationKey, circuit) {
+    if (nPublic !== verificationKey.nPublic || nVars !== circuit.nVars) {
+      throw new Error(`The proving key has ${nVars} signals and ${nPublic} public ones, but the circuit has ` +
+        `${circuit.nVars} and the verification key ${verificationKey.nPublic}, they are from different builds`)
+    }
+  }
+
+  /**
+   * Check that the circuit and the verification key belong together
+   * @param circuit Parsed circuit
+   * @param verificationKey Parsed verification key
+   */
+  static checkCompatible(circuit, verificationKey) {
+    const nPublic = circuit.nPubInputs + circuit.nOutputs
+    if (nPublic !== verificationKey.nPublic) {
+      throw new Error(`The circuit has ${nPublic} public signals but the verification key expects ${verificationKey.nPublic}, ` +
+        'they are from different builds')
+    }
+  }
+}
+
+module.exports = Artifacts
@@ -0,0 +1,35 @@
+/*
+  Atomic writes for the local stores
+*/
+
+const fs = require('fs')
+const path = require('path')
+const crypto = require('crypto')
+
+/**
+ * Replace a file in one step: the data is written to a temp file next to it, which is then renamed
+ * over the file, so an interrupted run leaves the old content instead of a truncated file. The temp
+ * name is unique, so runs writing the same file at once don't write into each other's temp file.
+ * @param file File to write, its directory is created when missing
+ * @param data File content
+ * @param options fs.writeFileSync options, like the mode of a new file
+ */
+function writeFileAtomic(file, data, options) {
+  fs.mkdirSync(path.dirname(file), { recursive: true })
+  const tmp = `${file}.${process.pid}.${crypto.randomBytes(4).toString('hex')}.tmp`
+  try {
+    fs.writeFileSync(tmp, data, options)
+    fs.renameSync(tmp, file)
+  } catch (e) {
+    try {
+      fs.unlinkSync(tmp)
+    } catch (ignored) {
+      // never created, or already renamed
+    }
+    throw e
+  }
+}
+
+module.exports = {
+  writeFileAtomic
+}
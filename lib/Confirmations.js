@@ -0,0 +1,82 @@
+const { sha3, hexToNumber } = require('web3-utils')
+
+const DEPOSIT_TOPIC = sha3('Deposit(bytes32,uint32,uint256)')
+
+/**
+ * Waits until a mined transaction is deep enough in the chain. A receipt that disappears or moves
+ * to another block means a reorg: the transaction is waited for again and a deposit's Deposit event
+ * is looked up again, as its leaf index can change.
+ */
+class Confirmations {
+
+  /**
+   * @param web3 Web3 instance
+   * @param confirmations Blocks a transaction must be deep
+   * @param pollInterval Milliseconds between checks
+   * @param waitForMined Async function waiting for a receipt of any broadcast of a journal entry again
+   * @param log Output of the progress and the reorg warnings
+   */
+  constructor(web3, { confirmations = 6, pollInterval = 5000, waitForMined, log = console.log } = {}) {
+    this.web3 = web3
+    this.confirmations = confirmations
+    this.pollInterval = pollInterval
+    this.waitForMined = waitForMined
+    this.log = log
+  }
+
+  /**
+   * Wait for the confirmations of a mined transaction
+   * @param entry Journal entry, or { hashes } for a transaction outside the journal
+   * @param receipt First receipt
+   * @returns Receipt in the canonical chain
+   */
+  async wait(entry, receipt) {
+    if (this.confirmations > 1) {
+      this.log(`Waiting for ${this.confirmations} confirmations`)
+    }
+    let leafIndex = Confirmations.depositLeafIndex(entry, receipt)
+    for (;;) {
+      const current = await this.web3.eth.getTransactionReceipt(receipt.transactionHash)
+      if (!current || current.blockHash !== receipt.blockHash) {
+        this.log('')
+        this.log(`WARNING: block ${receipt.blockNumber} with transaction ${receipt.transactionHash} was reorged out of the chain`)
+        receipt = current || await this.waitForMined(entry)
+        this.log(`WARNING: transaction ${receipt.transactionHash} is now in block ${receipt.blockNumber}`)
+        const newLeafIndex = Confirmations.depositLeafIndex(entry, receipt)
+        if (newLeafIndex !== leafIndex) {
+          this.log(newLeafIndex === null
+            ? `WARNING: the Deposit event of ${entry.commitment} is gone, the note is NOT deposited`
+            : `WARNING: the deposit's leaf index changed from ${leafIndex} to ${newLeafIndex}`)
+          leafIndex = newLeafIndex
+        }
+        this.log('')
+        continue
+      }
+      const depth = await this.web3.eth.getBlockNumber() - receipt.blockNumber + 1
+      if (depth >= this.confirmations) {
+        if (this.confirmations > 1) {
+          this.log(`Transaction ${receipt.transactionHash} has ${depth} confirmations`)
+        }
+        return receipt
+      }
+      await new Promise(resolve => setTimeout(resolve, this.pollInterval))
+    }
+  }
+
+  /**
+   * Leaf index in the Deposit event of a deposit receipt
+   * @param entry Journal entry with the deposit's commitment
+   * @param receipt Transaction receipt
+   * @returns Leaf index, or null without the event (and for other transactions)
+   */
+  static depositLeafIndex(entry, receipt) {
+    if (entry.kind !== 'deposit' || !entry.commitment) {
+      return null
+    }
+    const log = receipt.logs.find(({ topics }) => topics[0] === DEPOSIT_TOPIC && topics[1] === entry.commitment)
+    // the data holds the uint32 leaf index and the uint256 timestamp, one word each
+    return log ? hexToNumber(log.data.slice(0, 66)) : null
+  }
+}
+
+module.exports = Confirmations
@@ -0,0 +1,112 @@
+const fs = require('fs')
+const path = require('path')
+const { writeFileAtomic } = require('./AtomicFile')
+
+/**
+ * On-disk cache of contract events for one pool on one network.
+ * Only blocks after the last synced block are requested from the node. Blocks that are not
+ * confirmations deep yet can still be reorged, their events are fetched on every sync and never cached.
+ */
+class EventCache {
+
+  constructor(dir, netId, contract, eventName, fetcher) {
+    this.file = path.join(dir, `${eventName.toLowerCase()}_${netId}_${contract._address.toLowerCase()}.json`)
+    this.contract = contract
+    this.eventName = eventName
+    this.fetcher = fetcher
+    this.lastBlock = contract.deployedBlock - 1
+    this.events = []
+    this.load()
+  }
+
+  load() {
+    if (!fs.existsSync(this.file)) {
+      return
+    }
+    const data = JSON.parse(fs.readFileSync(this.file, 'utf8'))
+    this.lastBlock = data.lastBlock
+    this.events = data.events
+  }
+
+  save() {
+    writeFileAtomic(this.file, JSON.stringify({ lastBlock: this.lastBlock, events: this.events }))
+  }
+
+  /**
+   * Add fetched web3 events, skipping ones already cached
+   * @param events Events returned by getPastEvents
+   */
+  add(events) {
+    const known = new Set(this.events.map(EventCache.eventKey))
+    for (const e of events) {
+      const event = EventCache.compact(e)
+      if (!known.has(EventCache.eventKey(event))) {
+        known.add(EventCache.eventKey(event))
+        this.events.push(event)
+      }
+    }
+    this.events.sort((a, b) => a.blockNumber - b.blockNumber || a.logIndex - b.logIndex)
+  }
+
+  /**
+   * Fetch new events up to the latest block, persisting the confirmed ones.
+   * Progress is saved after every chunk, so an interrupted sync resumes where it stopped.
+   * @param latest Latest block
+   * @param confirmations Depth from which a block is cached
+   * @returns Cached events followed by the unconfirmed ones
+   */
+  async sync(latest, confirmations = 0) {
+    const toBlock = latest - confirmations
+    if (toBlock > this.lastBlock) {
+      await this.fetcher.fetch(this.contract, this.eventName, this.lastBlock + 1, toBlock, (events, lastBlock) => {
+        this.add(events)
+        this.lastBlock = lastBlock
+        if (events.length > 0 || lastBlock === toBlock) {
+          this.save()
+        }
+      })
+    }
+    const recent = []
+    if (latest > this.lastBlock) {
+      await this.fetcher.fetch(this.contract, this.eventName, this.lastBlock + 1, latest, events => {
+        recent.push(...events.map(EventCache.compact))
+      })
+    }
+    return this.events.concat(recent)
+  }
+
+  /**
+   * Drop the cached events from a block on, so the next sync fetches them again
+   * @param block First block to drop
+   * @returns Number of dropped events
+   */
+  rewind(block) {
+    const count = this.events.length
+    this.events = this.events.filter(e => e.blockNumber < block)
+    this.lastBlock = Math.max(Math.min(this.lastBlock, block - 1), this.contract.deployedBlock - 1)
+    this.save()
+    return count - this.events.length
+  }
+
+  static eventKey(event) {
+    return `${event.transactionHash}_${event.logIndex}`
+  }
+
+  /** Keep only what is needed to rebuild state, dropping web3's positional returnValues */
+  static compact(event) {
+    const returnValues = {}
+    for (const key of Object.keys(event.returnValues)) {
+      if (isNaN(key)) {
+        returnValues[key] = event.returnValues[key]
+      }
+    }
+    return {
+      blockNumber: event.blockNumber,
+      transactionHash: event.transactionHash,
+      logIndex: event.logIndex,
+      returnValues
+    }
+  }
+}
+
+module.exports = EventCache
@@ -0,0 +1,77 @@
+/**
+ * Fetches contract events in block range chunks.
+ * The range is halved when the node refuses a query for returning too many results and doubled
+ * again, up to the block range, after every chunk that succeeds. Transient RPC failures (timeouts,
+ * dropped connections, rate limits) are retried with exponential backoff, other errors are not.
+ */
+class EventFetcher {
+
+  constructor({ blockRange = 10000, retries = 5, retryDelay = 1000, onProgress } = {}) {
+    this.blockRange = blockRange
+    this.retries = retries
+    this.retryDelay = retryDelay
+    this.onProgress = onProgress || (() => {})
+  }
+
+  /**
+   * Fetch events between two blocks (inclusive)
+   * @param contract web3 contract
+   * @param eventName Event name
+   * @param fromBlock First block
+   * @param toBlock Last block
+   * @param onChunk Called with (events, lastBlock) after every fetched chunk
+   */
+  async fetch(contract, eventName, fromBlock, toBlock, onChunk) {
+    let range = this.blockRange
+    let from = fromBlock
+    let total = 0
+    while (from <= toBlock) {
+      const to = Math.min(from + range - 1, toBlock)
+      let events
+      try {
+        events = await this.withRetry(() => contract.getPastEvents(eventName, { fromBlock: from, toBlock: to }))
+      } catch (e) {
+        if (EventFetcher.isTooManyResults(e) && range > 1) {
+          range = Math.ceil(range / 2)
+          continue
+        }
+        throw e
+      }
+      total += events.length
+      await onChunk(events, to)
+      this.onProgress({ eventName, fromBlock, toBlock, block: to, count: total })
+      from = to + 1
+      range = Math.min(range * 2, this.blockRange)
+    }
+    return total
+  }
+
+  async withRetry(fn) {
+    for (let attempt = 0; ; attempt++) {
+      try {
+        return await fn()
+      } catch (e) {
+        if (!EventFetcher.isTransient(e) || attempt >= this.retries) {
+          throw e
+        }
+        await new Promise(resolve => setTimeout(resolve, this.retryDelay * 2 ** attempt))
+      }
+    }
+  }
+
+  /** Whether the node rejected the query because of its size rather than a transient failure */
+  static isTooManyResults(error) {
+    return /query returned more than|too many (results|logs|blocks)|block range|response size|limit exceeded/i.test(error.message)
+  }
+
+  /** Whether a failed query may succeed when sent again */
+  static isTransient(error) {
+    if (EventFetcher.isTooManyResults(error)) {
+      return false
+    }
+    return /timeout|timed out|ETIMEDOUT|ECONNRESET|ECONNREFUSED|EAI_AGAIN|socket hang up|CONNECTION ERROR|Invalid JSON RPC response|rate limit|too many requests|\b(429|502|503|504)\b/i
+      .test(error.message)
+  }
+}
+
+module.exports = EventFetcher
@@ -0,0 +1,64 @@
+/*
+  Lock files for the local stores, which other CLI runs (or a daemon) may change at the same time
+*/
+
+const fs = require('fs')
+const path = require('path')
+
+// a lock this old was left by a run that crashed
+const STALE_LOCK_AGE = 30 * 1000
+const LOCK_TIMEOUT = 10 * 1000
+const RETRY_DELAY = 50
+
+/**
+ * Run a function while holding `<file>.lock`. The lock file is created exclusively, so
+ * another process waits until it is removed.
+ * @param file File the lock is for
+ * @param fn Function to run
+ * @returns What fn returns
+ */
+function withLock(file, fn) {
+  const lock = file + '.lock'
+  fs.mkdirSync(path.dirname(file), { recursive: true })
+  const start = Date.now()
+  while (!tryLock(lock)) {
+    if (Date.now() - start > LOCK_TIMEOUT) {
+      throw new Error(`${file} is locked by another process, remove ${lock} if none is running`)
+    }
+    sleep(RETRY_DELAY)
+  }
+  try {
+    return fn()
+  } finally {
+    fs.unlinkSync(lock)
+  }
+}
+
+/** Create the lock file, or take over a stale one. False when another process holds it. */
+function tryLock(lock) {
+  try {
+    fs.closeSync(fs.openSync(lock, 'wx'))
+    return true
+  } catch (e) {
+    if (e.code !== 'EEXIST') {
+      throw e
+    }
+  }
+  try {
+    if (Date.now() - fs.statSync(lock).mtimeMs > STALE_LOCK_AGE) {
+      fs.unlinkSync(lock)
+    }
+  } catch (e) {
+    // removed by its holder in the meantime
+  }
+  return false
+}
+
+/** Block the thread, the stores are synchronous */
+function sleep(ms) {
+  Atomics.wait(new Int32Array(new SharedArrayBuffer(4)), 0, 0, ms)
+}
+
+module.exports = {
+  withLock
+}
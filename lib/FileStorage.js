@@ -0,0 +1,91 @@
+const fs = require('fs')
+const path = require('path')
+const { writeFileAtomic } = require('./AtomicFile')
+
+const COMPACT_THRESHOLD = 1000
+
+/**
+ * File-backed key/value storage for MerkleTree with the same contract as JsStorage.
+ * Every write is appended to a journal file as one JSON line of [key, value] pairs
+ * (null value for deletes), which is replayed on open and compacted when it grows.
+ */
+class FileStorage {
+  constructor(file) {
+    this.file = file
+    this.db = {}
+    this.load()
+  }
+
+  load() {
+    if (!fs.existsSync(this.file)) {
+      return
+    }
+    const lines = fs.readFileSync(this.file, 'utf8').split('\n').filter(line => line)
+    let corrupted = false
+    for (const line of lines) {
+      let pairs
+      try {
+        pairs = JSON.parse(line)
+      } catch (e) {
+        // a run interrupted while appending leaves a partial last line, that batch was never committed
+        corrupted = true
+        break
+      }
+      for (const [key, value] of pairs) {
+        if (value === null) {
+          delete this.db[key]
+        } else {
+          this.db[key] = value
+        }
+      }
+    }
+    if (corrupted || lines.length > COMPACT_THRESHOLD) {
+      this.compact()
+    }
+  }
+
+  /** Rewrite the journal as a single snapshot line */
+  compact() {
+    writeFileAtomic(this.file, JSON.stringify(Object.entries(this.db)) + '\n')
+  }
+
+  async append(pairs) {
+    await fs.promises.mkdir(path.dirname(this.file), { recursive: true })
+    await fs.promises.appendFile(this.file, JSON.stringify(pairs) + '\n')
+  }
+
+  get(key) {
+    return Promise.resolve(this.db[key])
+  }
+
+  get_or_element(key, defaultElement) {
+    const element = this.db[key]
+    if (element === undefined) {
+      return Promise.resolve(defaultElement)
+    } else {
+      return Promise.resolve(element)
+    }
+  }
+
+  async put(key, value) {
+    if (key === undefined || value === undefined) {
+      throw Error('key or value is undefined')
+    }
+    await this.append([[key, value]])
+    this.db[key] = value
+  }
+
+  async del(key) {
+    await this.append([[key, null]])
+    delete this.db[key]
+  }
+
+  async put_batch(key_values) {
+    await this.append(key_values.map(element => [element.key, element.value]))
+    key_values.forEach(element => {
+      this.db[element.key] = element.value
+    })
+  }
+}
+
+module.exports = FileStorage
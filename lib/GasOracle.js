@@ -0,0 +1,87 @@
+const STRATEGIES = {
+  slow: 30,
+  standard: 60,
+  fast: 90
+}
+
+/**
+ * Suggests gas prices from the transactions of recent blocks. The cheapest transaction a block
+ * included is the price that was enough to get into it, each strategy takes a percentile of those.
+ * The node's gas price is used when the recent blocks have no transactions.
+ */
+class GasOracle {
+
+  /**
+   * @param web3 Web3 instance
+   * @param blocks Number of recent blocks to sample
+   */
+  constructor(web3, { blocks = 20 } = {}) {
+    this.web3 = web3
+    this.blocks = blocks
+  }
+
+  /**
+   * Gas price for a strategy, or a fixed price in gwei
+   * @param strategy 'slow', 'standard', 'fast' or a number of gwei
+   * @returns Gas price in wei as BN
+   */
+  async gasPrice(strategy = 'standard') {
+    const { toBN, toWei } = this.web3.utils
+    if (STRATEGIES[strategy] === undefined) {
+      if (!/^\d+(\.\d+)?$/.test(strategy)) {
+        throw new Error(`Unknown gas price ${strategy}, use slow, standard, fast or a price in gwei`)
+      }
+      return toBN(toWei(strategy, 'gwei'))
+    }
+    return (await this.gasPrices())[strategy]
+  }
+
+  /** Gas price in wei of every strategy */
+  async gasPrices() {
+    const { toBN } = this.web3.utils
+    const minimums = await this.blockMinimums()
+    const prices = {}
+    if (minimums.length === 0) {
+      const nodePrice = toBN(await this.web3.eth.getGasPrice())
+      for (const strategy of Object.keys(STRATEGIES)) {
+        prices[strategy] = nodePrice
+      }
+      return prices
+    }
+    for (const [strategy, percentile] of Object.entries(STRATEGIES)) {
+      prices[strategy] = GasOracle.percentile(minimums, percentile)
+    }
+    return prices
+  }
+
+  /** Lowest gas price of every recent block that has transactions, in wei as BN */
+  async blockMinimums() {
+    const { toBN } = this.web3.utils
+    const latest = await this.web3.eth.getBlockNumber()
+    const numbers = []
+    for (let n = latest; n > latest - this.blocks && n >= 0; n--) {
+      numbers.push(n)
+    }
+    const blocks = await Promise.all(numbers.map(n => this.web3.eth.getBlock(n, true)))
+    return blocks
+      .filter(block => block && block.transactions.length > 0)
+      .map(block => block.transactions
+        .map(tx => toBN(tx.gasPrice))
+        .reduce((min, price) => price.lt(min) ? price : min))
+  }
+
+  /**
+   * Nearest-rank percentile
+   * @param values BN values
+   * @param percentile 0-100
+   */
+  static percentile(values, percentile) {
+    const sorted = values.slice().sort((a, b) => a.cmp(b))
+    const rank = Math.max(Math.ceil(percentile / 100 * sorted.length), 1)
+    return sorted[rank - 1]
+  }
+}
+
+GasOracle.STRATEGIES = STRATEGIES
+
+module.exports = GasOracle
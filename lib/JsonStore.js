@@ -0,0 +1,52 @@
+const fs = require('fs')
+const { withLock } = require('./FileLock')
+const { writeFileAtomic } = require('./AtomicFile')
+
+/**
+ * A JSON file that other CLI runs (or a daemon) may change at the same time. Every change re-reads
+ * the file under its lock and writes it back atomically, so changes made by other runs in the
+ * meantime are kept. Subclasses convert their content with fromJSON and toJSON.
+ */
+class JsonStore {
+
+  /**
+   * @param file Store file
+   * @param indent JSON indentation of the file
+   * @param mode File mode of a new file
+   */
+  constructor(file, { indent, mode } = {}) {
+    this.file = file
+    this.indent = indent
+    this.mode = mode
+  }
+
+  exists() {
+    return fs.existsSync(this.file)
+  }
+
+  /** Read the file, the content is left as it is if there is no file yet */
+  load() {
+    if (this.exists()) {
+      this.fromJSON(JSON.parse(fs.readFileSync(this.file, 'utf8')))
+    }
+  }
+
+  save() {
+    writeFileAtomic(this.file, JSON.stringify(this.toJSON(), null, this.indent), { mode: this.mode })
+  }
+
+  /**
+   * Apply a change to the latest content of the file and save it, holding the lock
+   * @param change Function making the change, its result is returned
+   */
+  change(change) {
+    return withLock(this.file, () => {
+      this.load()
+      const result = change()
+      this.save()
+      return result
+    })
+  }
+}
+
+module.exports = JsonStore
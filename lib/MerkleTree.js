@@ -19,28 +19,42 @@ class MerkleTree {
         current_zero_value.toString(),
       )
     }
-    if (defaultElements) {
-      let level = 0
-      this.totalElements = defaultElements.length
-      defaultElements.forEach((element, i) => {
-        this.storage.put(MerkleTree.index_to_key(prefix, level, i), element)
-      })
-      level++
-      let numberOfElementsInLevel = Math.ceil(defaultElements.length / 2)
-      for (level; level <= this.n_levels; level++) {
-        for(let i = 0; i < numberOfElementsInLevel; i++) {
-          const leftKey = MerkleTree.index_to_key(prefix, level - 1, 2 * i)
-          const rightKey = MerkleTree.index_to_key(prefix, level - 1, 2 * i + 1)
-
-          const left = this.storage.get(leftKey)
-          const right = this.storage.get_or_element(rightKey, this.zero_values[level - 1])
-
-          const subRoot = this.hasher.hash(null, left, right)
-          this.storage.put(MerkleTree.index_to_key(prefix, level, i), subRoot)
-        }
-        numberOfElementsInLevel = Math.ceil(numberOfElementsInLevel / 2)
+    // storage is async, so the initial state is loaded in the background;
+    // every public method waits for it and fails with its error
+    this.ready = defaultElements ? this.build(defaultElements) : this.load()
+    // not a rejection nobody handles while no method has been called yet
+    this.ready.catch(() => {})
+  }
+
+  async load() {
+    this.totalElements = Number(await this.storage.get_or_element(MerkleTree.size_key(this.prefix), 0))
+  }
+
+  async build(defaultElements) {
+    const prefix = this.prefix
+    let level = 0
+    this.totalElements = defaultElements.length
+    await this.storage.put_batch(defaultElements.map((element, i) => ({
+      key: MerkleTree.index_to_key(prefix, level, i),
+      value: element,
+    })))
+    level++
+    let previousLevel = defaultElements
+    for (level; level <= this.n_levels && previousLevel.length > 0; level++) {
+      const currentLevel = []
+      for(let i = 0; i < Math.ceil(previousLevel.length / 2); i++) {
+        const left = previousLevel[2 * i]
+        const right = 2 * i + 1 < previousLevel.length ? previousLevel[2 * i + 1] : this.zero_values[level - 1]
+        currentLevel.push(this.hasher.hash(null, left, right))
       }
+      await this.storage.put_batch(currentLevel.map((subRoot, i) => ({
+        key: MerkleTree.index_to_key(prefix, level, i),
+        value: subRoot,
+      })))
+      previousLevel = currentLevel
     }
+    // the size goes last, so an interrupted build is not mistaken for a complete tree
+    await this.storage.put(MerkleTree.size_key(prefix), this.totalElements)
   }
 
   static index_to_key(prefix, level, index) {
@@ -48,7 +62,12 @@ class MerkleTree {
     return key
   }
 
+  static size_key(prefix) {
+    return `${prefix}_tree_size`
+  }
+
   async root() {
+    await this.ready
     let root = await this.storage.get_or_element(
       MerkleTree.index_to_key(this.prefix, this.n_levels, 0),
       this.zero_values[this.n_levels],
@@ -76,6 +95,7 @@ class MerkleTree {
         this.path_index.push(element_index % 2)
       }
     }
+    await this.ready
     index = Number(index)
     let traverser = new PathTraverser(this.prefix, this.storage, this.zero_values)
     const root = await this.storage.get_or_element(
@@ -98,70 +118,74 @@ class MerkleTree {
   }
 
   async update(index, element, insert = false) {
+    await this.ready
     if (!insert && index >= this.totalElements) {
       throw Error('Use insert method for new elements.')
     } else if(insert && index < this.totalElements) {
       throw Error('Use update method for existing elements.')
     }
-    try {
-      class UpdateTraverser {
-        constructor(prefix, storage, hasher, element, zero_values) {
-          this.prefix = prefix
-          this.current_element = element
-          this.zero_values = zero_values
-          this.storage = storage
-          this.hasher = hasher
-          this.key_values_to_put = []
-        }
+    class UpdateTraverser {
+      constructor(prefix, storage, hasher, element, zero_values) {
+        this.prefix = prefix
+        this.current_element = element
+        this.zero_values = zero_values
+        this.storage = storage
+        this.hasher = hasher
+        this.key_values_to_put = []
+      }
 
-        async handle_index(level, element_index, sibling_index) {
-          if (level == 0) {
-            this.original_element = await this.storage.get_or_element(
-              MerkleTree.index_to_key(this.prefix, level, element_index),
-              this.zero_values[level],
-            )
-          }
-          const sibling = await this.storage.get_or_element(
-            MerkleTree.index_to_key(this.prefix, level, sibling_index),
+      async handle_index(level, element_index, sibling_index) {
+        if (level == 0) {
+          this.original_element = await this.storage.get_or_element(
+            MerkleTree.index_to_key(this.prefix, level, element_index),
             this.zero_values[level],
           )
-          let left, right
-          if (element_index % 2 == 0) {
-            left = this.current_element
-            right = sibling
-          } else {
-            left = sibling
-            right = this.current_element
-          }
-
-          this.key_values_to_put.push({
-            key: MerkleTree.index_to_key(this.prefix, level, element_index),
-            value: this.current_element,
-          })
-          this.current_element = this.hasher.hash(level, left, right)
         }
+        const sibling = await this.storage.get_or_element(
+          MerkleTree.index_to_key(this.prefix, level, sibling_index),
+          this.zero_values[level],
+        )
+        let left, right
+        if (element_index % 2 == 0) {
+          left = this.current_element
+          right = sibling
+        } else {
+          left = sibling
+          right = this.current_element
+        }
+
+        this.key_values_to_put.push({
+          key: MerkleTree.index_to_key(this.prefix, level, element_index),
+          value: this.current_element,
+        })
+        this.current_element = this.hasher.hash(level, left, right)
       }
-      let traverser = new UpdateTraverser(
-        this.prefix,
-        this.storage,
-        this.hasher,
-        element,
-        this.zero_values
-      )
+    }
+    let traverser = new UpdateTraverser(
+      this.prefix,
+      this.storage,
+      this.hasher,
+      element,
+      this.zero_values
+    )
 
-      await this.traverse(index, traverser)
+    await this.traverse(index, traverser)
+    traverser.key_values_to_put.push({
+      key: MerkleTree.index_to_key(this.prefix, this.n_levels, 0),
+      value: traverser.current_element,
+    })
+    if (insert) {
       traverser.key_values_to_put.push({
-        key: MerkleTree.index_to_key(this.prefix, this.n_levels, 0),
-        value: traverser.current_element,
+        key: MerkleTree.size_key(this.prefix),
+        value: index + 1,
       })
-
-      await this.storage.put_batch(traverser.key_values_to_put)
-    } catch(e) {
-      console.error(e)
     }
+
+    await this.storage.put_batch(traverser.key_values_to_put)
   }
 
   async insert(element) {
+    await this.ready
     const index = this.totalElements
     await this.update(index, element, true)
     this.totalElements++
@@ -181,9 +205,10 @@ class MerkleTree {
     }
   }
 
-  getIndexByElement(element) {
+  async getIndexByElement(element) {
+    await this.ready
     for(let i = this.totalElements - 1; i >= 0; i--) {
-      const elementFromTree = this.storage.get(MerkleTree.index_to_key(this.prefix, 0, i))
+      const elementFromTree = await this.storage.get(MerkleTree.index_to_key(this.prefix, 0, i))
       if (elementFromTree === element) {
         return i
       }
@@ -0,0 +1,63 @@
+/*
+  Deposits and the note strings they are kept as
+*/
+
+const circomlib = require('circomlib')
+const { bigInt } = require('snarkjs')
+
+/** Compute pedersen hash */
+const pedersenHash = data => circomlib.babyJub.unpackPoint(circomlib.pedersenHash.hash(data))[0]
+
+/**
+ * Create deposit object from secret and nullifier
+ */
+function createDeposit(nullifier, secret) {
+  let deposit = { nullifier, secret }
+  deposit.preimage = Buffer.concat([deposit.nullifier.leInt2Buff(31), deposit.secret.leInt2Buff(31)])
+  deposit.commitment = pedersenHash(deposit.preimage)
+  deposit.nullifierHash = pedersenHash(deposit.nullifier.leInt2Buff(31))
+  return deposit
+}
+
+/**
+ * Build a self-describing note string: tornado-<currency>-<amount>-<netId>-0x<preimage>
+ * @param deposit Deposit object
+ * @param amount Pool denomination in UBQ
+ * @param noteNetId Network id the deposit was made on
+ */
+function formatNote(deposit, amount, noteNetId) {
+  return `tornado-ubq-${amount}-${noteNetId}-0x${deposit.preimage.toString('hex')}`
+}
+
+/**
+ * Parse a note string and restore the deposit object.
+ * Accepts both prefixed notes and legacy bare 0x preimages, for which
+ * amount and netId are null.
+ * @param noteString Note string
+ */
+function parseNote(noteString) {
+  const noteRegex = /^(?:tornado-(?<currency>\w+)-(?<amount>[\d.]+)-(?<netId>\d+)-)?0x(?<preimage>[0-9a-fA-F]{124})$/
+  const match = noteRegex.exec(noteString)
+  if (!match) {
+    throw new Error('The note has invalid format')
+  }
+  const { currency, amount, preimage } = match.groups
+  if (currency !== undefined && currency.toLowerCase() !== 'ubq') {
+    throw new Error(`Unsupported note currency: ${currency}`)
+  }
+
+  const buf = Buffer.from(preimage, 'hex')
+  const deposit = createDeposit(bigInt.leBuff2int(buf.slice(0, 31)), bigInt.leBuff2int(buf.slice(31, 62)))
+  return {
+    currency: 'ubq',
+    amount: amount === undefined ? null : amount,
+    netId: match.groups.netId === undefined ? null : Number(match.groups.netId),
+    deposit
+  }
+}
+
+module.exports = {
+  createDeposit,
+  formatNote,
+  parseNote
+}
@@ -0,0 +1,43 @@
+const crypto = require('crypto')
+const bip39 = require('bip39')
+
+/**
+ * Derives note nullifiers and secrets from a BIP39 mnemonic.
+ * Each note is HMAC-SHA512(seed, 'tornado/<netId>/<amount>/<index>'), the first 31 bytes
+ * being the nullifier and the last 31 bytes the secret. The amount is the pool's denomination
+ * in UBQ as written in notes, not a pool id, which is only the CLI's numbering of its pools.
+ */
+class NoteSeed {
+
+  constructor(mnemonic) {
+    mnemonic = mnemonic.trim().split(/\s+/).join(' ')
+    if (!bip39.validateMnemonic(mnemonic)) {
+      throw new Error('Invalid mnemonic')
+    }
+    this.seed = bip39.mnemonicToSeedSync(mnemonic)
+    // stored with the seed's notes, to tell them from the notes of another mnemonic
+    this.fingerprint = crypto.createHash('sha256').update(this.seed).digest('hex').slice(0, 16)
+  }
+
+  static generateMnemonic() {
+    return bip39.generateMnemonic(256)
+  }
+
+  static path(netId, amount, index) {
+    return `tornado/${netId}/${amount}/${index}`
+  }
+
+  /**
+   * Derive the note preimage parts at a path
+   * @returns {{ nullifier: Buffer, secret: Buffer }} 31 byte little-endian values
+   */
+  derive(netId, amount, index) {
+    const hash = crypto.createHmac('sha512', this.seed).update(NoteSeed.path(netId, amount, index)).digest()
+    return {
+      nullifier: hash.slice(0, 31),
+      secret: hash.slice(33, 64)
+    }
+  }
+}
+
+module.exports = NoteSeed
@@ -0,0 +1,123 @@
+const fs = require('fs')
+const crypto = require('crypto')
+const JsonStore = require('./JsonStore')
+
+const KDF_PARAMS = { n: 16384, r: 8, p: 1, dklen: 32 }
+const CIPHER = 'aes-256-gcm'
+
+/**
+ * Password-encrypted note store.
+ * The file layout follows web3 keystores: the key is derived with scrypt and the
+ * notes are encrypted with AES-GCM, so a wrong password fails authentication.
+ */
+class NoteVault extends JsonStore {
+
+  constructor(file) {
+    super(file, { mode: 0o600 })
+    this.notes = []
+    this.nextId = 1
+    this.key = null
+    this.kdfparams = null
+  }
+
+  /**
+   * Decrypt the vault, or prepare an empty one if the file does not exist yet
+   * @param password Vault password
+   */
+  open(password) {
+    if (!this.exists()) {
+      this.kdfparams = Object.assign({ salt: crypto.randomBytes(32).toString('hex') }, KDF_PARAMS)
+      this.key = NoteVault.deriveKey(password, this.kdfparams)
+      return
+    }
+    this.kdfparams = NoteVault.checkFormat(JSON.parse(fs.readFileSync(this.file, 'utf8'))).crypto.kdfparams
+    this.key = NoteVault.deriveKey(password, this.kdfparams)
+    this.load()
+  }
+
+  /** Re-read the notes of an open vault, e.g. after other runs changed it */
+  reload() {
+    this.load()
+  }
+
+  fromJSON(json) {
+    const { crypto: c } = NoteVault.checkFormat(json)
+    if (c.kdfparams.salt !== this.kdfparams.salt) {
+      throw new Error('The vault was replaced by another process, open it again')
+    }
+    const decipher = crypto.createDecipheriv(CIPHER, this.key, Buffer.from(c.cipherparams.iv, 'hex'))
+    decipher.setAuthTag(Buffer.from(c.cipherparams.tag, 'hex'))
+    let plaintext
+    try {
+      plaintext = Buffer.concat([decipher.update(Buffer.from(c.ciphertext, 'hex')), decipher.final()])
+    } catch (e) {
+      throw new Error('Wrong vault password')
+    }
+    const data = JSON.parse(plaintext.toString('utf8'))
+    this.notes = data.notes
+    this.nextId = data.nextId
+  }
+
+  toJSON() {
+    const iv = crypto.randomBytes(12)
+    const cipher = crypto.createCipheriv(CIPHER, this.key, iv)
+    const plaintext = Buffer.from(JSON.stringify({ nextId: this.nextId, notes: this.notes }), 'utf8')
+    const ciphertext = Buffer.concat([cipher.update(plaintext), cipher.final()])
+    return {
+      version: 1,
+      crypto: {
+        cipher: CIPHER,
+        ciphertext: ciphertext.toString('hex'),
+        cipherparams: { iv: iv.toString('hex'), tag: cipher.getAuthTag().toString('hex') },
+        kdf: 'scrypt',
+        kdfparams: this.kdfparams
+      }
+    }
+  }
+
+  /**
+   * Store a new note and persist the vault
+   * @param entry Note string and metadata (pool, netId, txHash, label)
+   */
+  add(entry) {
+    return this.change(() => {
+      const note = Object.assign({ id: this.nextId++, label: '', createdAt: new Date().toISOString() }, entry)
+      this.notes.push(note)
+      return note
+    })
+  }
+
+  get(id) {
+    const note = this.notes.find(n => n.id === Number(id))
+    if (!note) {
+      throw new Error(`There is no note ${id} in the vault`)
+    }
+    return note
+  }
+
+  update(id, fields) {
+    this.change(() => Object.assign(this.get(id), fields))
+  }
+
+  remove(id) {
+    return this.change(() => {
+      const note = this.get(id)
+      this.notes = this.notes.filter(n => n !== note)
+      return note
+    })
+  }
+
+  static checkFormat(json) {
+    const { kdf, cipher } = json.crypto
+    if (kdf !== 'scrypt' || cipher !== CIPHER) {
+      throw new Error(`Unsupported vault encryption: ${kdf}/${cipher}`)
+    }
+    return json
+  }
+
+  static deriveKey(password, { salt, n, r, p, dklen }) {
+    return crypto.scryptSync(password, Buffer.from(salt, 'hex'), dklen, { N: n, r, p, maxmem: 256 * n * r })
+  }
+}
+
+module.exports = NoteVault
@@ -2,6 +2,8 @@
   Command line arguments/usage
 */
 
+const os = require('os')
+const path = require('path')
 const commandLineArgs = require('command-line-args')
 const commandLineUsage = require('command-line-usage')
 
@@ -9,16 +11,69 @@ const commandLineUsage = require('command-line-usage')
 const commandDefinitions = [
   {
     name: 'deposit',
-    type: Boolean,
+    type: String,
     alias: 'd',
-    description: 'Submit a deposit and return the resulting note'
+    typeLabel: '{underline [pool:count,...]}',
+    description: 'Submit a deposit and return the resulting note, or several deposits into each pool'
   },
   {
     name: 'withdraw',
     type: String,
     alias: 'w',
-    typeLabel: '{underline note}',
-    description: 'Withdraw a note to \'recipient\' account'
+    typeLabel: '{underline note|id}',
+    description: 'Withdraw a note or vault note id to \'recipient\' account'
+  },
+  {
+    name: 'withdraw-all',
+    type: String,
+    typeLabel: '{underline vault|file}',
+    description: 'Withdraw every unspent note of the vault or a file (one per line) to \'recipient\' account'
+  },
+  {
+    name: 'withdraw-batch',
+    type: String,
+    typeLabel: '{underline file}',
+    description: 'Withdraw the notes of a CSV (note,recipient lines) or JSON (array of note/recipient objects) file'
+  },
+  {
+    name: 'submit-proof',
+    type: String,
+    typeLabel: '{underline file}',
+    description: 'Check and send a withdrawal proof written with --proof-out'
+  },
+  {
+    name: 'verify-proof',
+    type: String,
+    typeLabel: '{underline file}',
+    description: 'Check a withdrawal proof file against the verification key'
+  },
+  {
+    name: 'broadcast',
+    type: String,
+    typeLabel: '{underline tx|file}',
+    description: 'Send a transaction signed elsewhere and wait for it'
+  },
+  {
+    name: 'pending',
+    type: Boolean,
+    description: 'List the sent transactions that are not mined yet'
+  },
+  {
+    name: 'resume',
+    type: Boolean,
+    description: 'Wait for the pending transactions, e.g. after the CLI was stopped'
+  },
+  {
+    name: 'speed-up',
+    type: Number,
+    typeLabel: '{underline id}',
+    description: 'Resend a pending transaction with a higher gas price'
+  },
+  {
+    name: 'cancel',
+    type: Number,
+    typeLabel: '{underline id}',
+    description: 'Replace a pending transaction with an empty one'
   },
   {
     name: 'balance',
@@ -33,6 +88,42 @@ const commandDefinitions = [
     alias: 'P',
     description: 'List available pools'
   },
+  {
+    name: 'status',
+    type: String,
+    alias: 's',
+    typeLabel: '{underline note|id}',
+    description: 'Show whether a note was deposited and whether it is spent'
+  },
+  {
+    name: 'status-batch',
+    type: String,
+    typeLabel: '{underline file|vault}',
+    description: 'Show the status of every note in a file (one per line) or in the vault'
+  },
+  {
+    name: 'compliance',
+    type: String,
+    alias: 'c',
+    typeLabel: '{underline note|id}',
+    description: 'Print where the funds of a note came from and went to'
+  },
+  {
+    name: 'sync',
+    type: Boolean,
+    description: 'Fetch new pool events into the local cache'
+  },
+  {
+    name: 'rewind',
+    type: Number,
+    typeLabel: '{underline block}',
+    description: 'Drop the cached pool events from a block on and fetch them again'
+  },
+  {
+    name: 'verify-tree',
+    type: Boolean,
+    description: 'Compare the local merkle tree with the contract state and explain differences'
+  },
   {
     name: 'help',
     alias: 'h',
@@ -49,6 +140,40 @@ const optionDefinitions = [
     typeLabel: '{underline address}',
     description: 'From address (default: eth.accounts[0])'
   },
+  {
+    name: 'rpc',
+    type: String,
+    defaultValue: 'http://localhost:8588',
+    typeLabel: '{underline url}',
+    description: 'Node RPC url (default: http://localhost:8588)'
+  },
+  {
+    name: 'gas-price',
+    type: String,
+    defaultValue: 'standard',
+    typeLabel: '{underline slow|standard|fast|gwei}',
+    description: 'Gas price, a strategy based on recent blocks or a price in gwei (default: standard)'
+  },
+  {
+    name: 'tx-timeout',
+    type: Number,
+    defaultValue: 600,
+    typeLabel: '{underline seconds}',
+    description: 'Stop waiting for a transaction after this long, it can be resumed later (default: 600)'
+  },
+  {
+    name: 'confirmations',
+    type: Number,
+    defaultValue: 6,
+    typeLabel: '{underline blocks}',
+    description: 'Blocks a transaction must be deep before it is final, checking for reorgs meanwhile (default: 6)'
+  },
+  {
+    name: 'gas-limit',
+    type: Number,
+    typeLabel: '{underline gas}',
+    description: 'Gas limit (default: the node\'s estimate plus 20%)'
+  },
   {
     name: 'pool',
     type: Number,
@@ -56,6 +181,89 @@ const optionDefinitions = [
     defaultValue: 1,
     typeLabel: '{underline id}',
     description: 'Pool to use (default: 1)'
+  },
+  {
+    name: 'amount',
+    type: String,
+    typeLabel: '{underline ubq}',
+    description: 'Deposit an amount, split into deposits across the pools'
+  },
+  {
+    name: 'yes',
+    type: Boolean,
+    alias: 'y',
+    description: 'Do not ask for confirmation'
+  },
+  {
+    name: 'count',
+    type: Number,
+    defaultValue: 1,
+    typeLabel: '{underline n}',
+    description: 'Number of deposits into --pool (default: 1)'
+  },
+  {
+    name: 'report',
+    type: String,
+    typeLabel: '{underline file}',
+    description: 'Write the compliance report to a file, as JSON for .json files or plain text otherwise'
+  },
+  {
+    name: 'datadir',
+    type: String,
+    defaultValue: path.join(os.homedir(), '.tornado-cli'),
+    typeLabel: '{underline dir}',
+    description: 'Directory for cached events and other local data (default: ~/.tornado-cli)'
+  },
+  {
+    name: 'circuit',
+    type: String,
+    typeLabel: '{underline file}',
+    description: 'Withdraw circuit (default: circuits/withdraw.json in the install directory)'
+  },
+  {
+    name: 'proving-key',
+    type: String,
+    typeLabel: '{underline file}',
+    description: 'Proving key (default: circuits/withdraw_proving_key.bin in the install directory)'
+  },
+  {
+    name: 'proving-key-json',
+    type: String,
+    typeLabel: '{underline file}',
+    description: 'snarkjs proving key (default: circuits/withdraw_proving_key.json in the install directory)'
+  },
+  {
+    name: 'verification-key',
+    type: String,
+    typeLabel: '{underline file}',
+    description: 'Verification key (default: circuits/withdraw_verification_key.json in the install directory)'
+  },
+  {
+    name: 'prover',
+    type: String,
+    typeLabel: '{underline websnark|snarkjs}',
+    description: 'Prover to use (default: websnark, or snarkjs when WebAssembly is unavailable)'
+  },
+  {
+    name: 'proof-timeout',
+    type: Number,
+    defaultValue: 0,
+    typeLabel: '{underline seconds}',
+    description: 'Abandon proof generation after this long (default: no limit)'
+  },
+  {
+    name: 'block-range',
+    type: Number,
+    defaultValue: 10000,
+    typeLabel: '{underline blocks}',
+    description: 'Blocks per event query, halved when the node returns too many results (default: 10000)'
+  },
+  {
+    name: 'rpc-retries',
+    type: Number,
+    defaultValue: 5,
+    typeLabel: '{underline count}',
+    description: 'Retries for failed event queries (default: 5)'
   }
 ]
 
@@ -72,7 +280,246 @@ const withdrawDefinitions = [
     type: String,
     alias: 'r',
     typeLabel: '{underline url}',
-    description: 'Relay to use for withdraw'
+    description: 'Relays to use for withdraw, comma separated; the cheapest healthy one is used'
+  },
+  {
+    name: 'relayers',
+    type: String,
+    typeLabel: '{underline file}',
+    description: 'JSON file with a list of relay urls, used with --relay'
+  },
+  {
+    name: 'batch-report',
+    type: String,
+    typeLabel: '{underline file}',
+    description: 'Result report of --withdraw-batch (default: <batch file>.result.json)'
+  },
+  {
+    name: 'max-fee',
+    type: String,
+    typeLabel: '{underline ubq}',
+    description: 'Refuse relayer fees above this, instead of asking to confirm the fee'
+  },
+  {
+    name: 'proof-out',
+    type: String,
+    typeLabel: '{underline file}',
+    description: 'Write the withdrawal proof to a file instead of sending it'
+  },
+  {
+    name: 'offline',
+    type: Boolean,
+    description: 'Prove from cached events or the stored tree without a node (needs --proof-out)'
+  },
+  {
+    name: 'net-id',
+    type: Number,
+    typeLabel: '{underline id}',
+    description: 'Network id of a legacy note in offline mode'
+  },
+  {
+    name: 'relayer',
+    type: String,
+    typeLabel: '{underline address}',
+    description: 'Relayer address to bake into an exported proof'
+  },
+  {
+    name: 'fee',
+    type: String,
+    typeLabel: '{underline amount}',
+    description: 'Relayer fee in UBQ to bake into an exported proof'
+  }
+]
+
+const vaultDefinitions = [
+  {
+    name: 'vault-list',
+    type: Boolean,
+    description: 'List notes stored in the vault'
+  },
+  {
+    name: 'vault-show',
+    type: String,
+    typeLabel: '{underline id}',
+    description: 'Print a stored note'
+  },
+  {
+    name: 'vault-label',
+    type: String,
+    typeLabel: '{underline id}',
+    description: 'Set the label of a stored note to --label'
+  },
+  {
+    name: 'vault-export',
+    type: String,
+    typeLabel: '{underline file}',
+    description: 'Write all stored notes unencrypted to a file'
+  },
+  {
+    name: 'vault-remove',
+    type: String,
+    typeLabel: '{underline id}',
+    description: 'Remove a note from the vault'
+  },
+  {
+    name: 'vault',
+    type: String,
+    typeLabel: '{underline file}',
+    description: 'Vault file (default: <datadir>/vault.json)'
+  },
+  {
+    name: 'vault-password-file',
+    type: String,
+    typeLabel: '{underline file}',
+    description: 'Read the vault password from a file instead of prompting'
+  },
+  {
+    name: 'label',
+    type: String,
+    typeLabel: '{underline text}',
+    description: 'Label for a new or stored note'
+  },
+  {
+    name: 'show-note',
+    type: Boolean,
+    description: 'Also print the note of a new deposit, it then stays in the terminal scrollback'
+  }
+]
+
+const seedDefinitions = [
+  {
+    name: 'new-mnemonic',
+    type: Boolean,
+    description: 'Generate a mnemonic for deterministic notes'
+  },
+  {
+    name: 'recover',
+    type: Boolean,
+    description: 'Re-derive notes from the mnemonic, store them in the vault and report the unspent balance'
+  },
+  {
+    name: 'mnemonic',
+    type: Boolean,
+    description: 'Derive notes from a mnemonic, prompting for it'
+  },
+  {
+    name: 'mnemonic-file',
+    type: String,
+    typeLabel: '{underline file}',
+    description: 'Derive notes from the mnemonic stored in a file'
+  },
+  {
+    name: 'index',
+    type: Number,
+    typeLabel: '{underline n}',
+    description: 'Note index to derive (default: next unused index in the pool)'
+  },
+  {
+    name: 'gap-limit',
+    type: Number,
+    defaultValue: 20,
+    typeLabel: '{underline n}',
+    description: 'Unused indices to scan before giving up (default: 20)'
+  }
+]
+
+const signerDefinitions = [
+  {
+    name: 'keystore',
+    type: String,
+    typeLabel: '{underline file}',
+    description: 'Sign with the account of a keystore file, prompting for its password'
+  },
+  {
+    name: 'keystore-password-file',
+    type: String,
+    typeLabel: '{underline file}',
+    description: 'Read the keystore password from a file instead of prompting'
+  },
+  {
+    name: 'private-key-file',
+    type: String,
+    typeLabel: '{underline file|-}',
+    description: 'Sign with a hex private key read from a file, or from stdin with -'
+  },
+  {
+    name: 'signer-mnemonic-file',
+    type: String,
+    typeLabel: '{underline file}',
+    description: 'Sign with an account derived from the mnemonic stored in a file'
+  },
+  {
+    name: 'hd-path',
+    type: String,
+    defaultValue: 'm/44\'/108\'/0\'/0/0',
+    typeLabel: '{underline path}',
+    description: 'Derivation path for --signer-mnemonic-file (default: m/44\'/108\'/0\'/0/0)'
+  }
+]
+
+const transactionDefinitions = [
+  {
+    name: 'dry-run',
+    type: Boolean,
+    description: 'Simulate the deposit or withdraw transaction with eth_call and report the outcome and gas instead of sending it'
+  },
+  {
+    name: 'unsigned',
+    type: Boolean,
+    description: 'Print the deposit or withdraw transaction unsigned instead of sending it'
+  },
+  {
+    name: 'tx-format',
+    type: String,
+    defaultValue: 'json',
+    typeLabel: '{underline json|rlp}',
+    description: 'Unsigned transaction format: JSON, or the hex RLP signing payload for QR codes (default: json)'
+  },
+  {
+    name: 'tx-out',
+    type: String,
+    typeLabel: '{underline file}',
+    description: 'Write the unsigned transaction to a file instead of printing it'
+  }
+]
+
+const scheduleDefinitions = [
+  {
+    name: 'schedule',
+    type: String,
+    typeLabel: '{underline ids|vault}',
+    description: 'Schedule vault notes (comma separated ids, or vault for all unspent ones) for withdrawal to --to (comma separated addresses)'
+  },
+  {
+    name: 'schedule-list',
+    type: Boolean,
+    description: 'Show the withdrawal schedule'
+  },
+  {
+    name: 'daemon',
+    type: Boolean,
+    description: 'Keep running and make the scheduled withdrawals when they are due'
+  },
+  {
+    name: 'min-delay',
+    type: Number,
+    defaultValue: 1,
+    typeLabel: '{underline hours}',
+    description: 'Earliest withdrawal time from now (default: 1)'
+  },
+  {
+    name: 'max-delay',
+    type: Number,
+    defaultValue: 48,
+    typeLabel: '{underline hours}',
+    description: 'Latest withdrawal time from now (default: 48)'
+  },
+  {
+    name: 'min-deposits-after',
+    type: Number,
+    defaultValue: 0,
+    typeLabel: '{underline n}',
+    description: 'Wait until the pool has this many deposits after the note (default: 0)'
   }
 ]
 
@@ -84,12 +531,29 @@ const sections = [
     content: [
       'Submit a deposit and return the resulting note\n',
       '$ ./tornado.js --deposit --from <address> --pool 1',
-      '$ ./tornado.js -dp 1\n',
+      '$ ./tornado.js -dp 1',
+      '$ ./tornado.js --deposit --count 5',
+      '$ ./tornado.js --deposit 1:3,2:1',
+      '$ ./tornado.js --deposit --amount 105\n',
       'Withdraw a note to \'recipient\' account\n',
       '$ ./tornado.js --withdraw <note> --to <recipient> --relay [relayUrl]',
-      '$ ./tornado.js -w <note> -t <recipient>\n',
+      '$ ./tornado.js -w <note> -t <recipient>',
+      '$ ./tornado.js -w <vault id> -t <recipient>\n',
+      'Prove a withdrawal on an offline machine, then send it from an online one\n',
+      '$ ./tornado.js -w <note> -t <recipient> --offline --proof-out <file>',
+      '$ ./tornado.js --submit-proof <file> --relay [relayUrl]\n',
+      'Check a note, or every note in a file or the vault\n',
+      '$ ./tornado.js --status <note>',
+      '$ ./tornado.js --status-batch <file|vault>\n',
+      'Report the deposit and withdrawal of a note\n',
+      '$ ./tornado.js --compliance <note> --report [file]\n',
+      'Deposit from a cold wallet: sign the transaction elsewhere, then send it\n',
+      '$ ./tornado.js --deposit --from <address> --unsigned --tx-format rlp',
+      '$ ./tornado.js --broadcast <signedTx>\n',
       'Check address balance\n',
-      '$ ./tornado.js -b <address>\n'
+      '$ ./tornado.js -b <address>\n',
+      'Fetch new pool events into the local cache\n',
+      '$ ./tornado.js --sync --pool 1\n'
     ]
   },
   {
@@ -103,19 +567,43 @@ const sections = [
   {
     header: 'Withdraw Options',
     optionList: withdrawDefinitions
+  },
+  {
+    header: 'Vault',
+    content: 'Every deposit is stored in a password-encrypted vault.',
+    optionList: vaultDefinitions
+  },
+  {
+    header: 'Scheduled Withdrawals',
+    content: 'Withdrawing right after depositing links the two, the scheduler spreads withdrawals over random times.',
+    optionList: scheduleDefinitions
+  },
+  {
+    header: 'Signing',
+    content: 'Transactions are signed by the node\'s unlocked account unless a local key is given.',
+    optionList: signerDefinitions
+  },
+  {
+    header: 'Transactions',
+    content: 'Deposits and withdrawals can be rehearsed, or handed over unsigned to sign elsewhere.',
+    optionList: transactionDefinitions
+  },
+  {
+    header: 'Deterministic Notes',
+    content: 'Notes derived from a BIP39 mnemonic at tornado/<netId>/<pool>/<index> can be recovered if lost.',
+    optionList: seedDefinitions
   }
 ]
 
 // parse args/usage
-const options = commandLineArgs(commandDefinitions.concat(optionDefinitions.concat(withdrawDefinitions)))
-
-const usage = commandLineUsage(sections)
+const options = commandLineArgs(commandDefinitions.concat(optionDefinitions, withdrawDefinitions, vaultDefinitions, scheduleDefinitions, signerDefinitions, transactionDefinitions, seedDefinitions))
 
 module.exports = {
   options() {
     return options
   },
   usage() {
-    return usage
+    // built on demand, a mistake in the help text must not break option parsing
+    return commandLineUsage(sections)
   }
 }
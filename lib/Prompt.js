@@ -0,0 +1,48 @@
+/*
+  Interactive console input
+*/
+
+const readline = require('readline')
+
+/**
+ * Ask a question and resolve with the answer. Rejects when the input ends without an answer,
+ * e.g. in a script with stdin from /dev/null.
+ * @param query Question to print
+ * @param hidden Do not echo the typed answer
+ */
+function question(query, hidden = false) {
+  return new Promise((resolve, reject) => {
+    const rl = readline.createInterface({ input: process.stdin, output: process.stdout, terminal: process.stdin.isTTY })
+    let answered = false
+    rl.on('close', () => {
+      if (!answered) {
+        reject(new Error(`No answer to "${query.trim()}", the input was closed`))
+      }
+    })
+    if (hidden) {
+      let prompted = false
+      rl._writeToOutput = str => {
+        // echo the prompt itself, swallow the keystrokes
+        if (!prompted) {
+          prompted = true
+          rl.output.write(str)
+        }
+      }
+    }
+    rl.question(query, answer => {
+      answered = true
+      if (hidden) {
+        rl.output.write('\n')
+      }
+      rl.close()
+      resolve(answer)
+    })
+  })
+}
+
+module.exports = {
+  question,
+  password(query) {
+    return question(query, true)
+  }
+}
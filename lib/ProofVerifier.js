@@ -0,0 +1,55 @@
+const snarkjs = require('snarkjs')
+const unstringifyBigInts = require('snarkjs/src/stringifybigint').unstringifyBigInts
+
+const bigInt = snarkjs.bigInt
+
+const PROOF_WORDS = 8
+
+/**
+ * Checks groth16 withdrawal proofs against the circuit verification key,
+ * the same check the on-chain verifier does.
+ */
+class ProofVerifier {
+
+  constructor(verificationKey) {
+    this.vk = unstringifyBigInts(verificationKey)
+  }
+
+  /**
+   * @param proofData Proof with pi_a, pi_b and pi_c points
+   * @param publicSignals Public inputs: root, nullifierHash, recipient, relayer, fee, refund
+   */
+  verify(proofData, publicSignals) {
+    if (publicSignals.length !== this.vk.nPublic) {
+      return false
+    }
+    return snarkjs.groth.isValid(this.vk, unstringifyBigInts(proofData), publicSignals.map(signal => bigInt(signal)))
+  }
+
+  /**
+   * Verify a proof in the hex encoding sent to the contract
+   * @param proof 0x-prefixed hex of the proof
+   * @param args Public inputs as sent to the contract
+   */
+  verifySolidity(proof, args) {
+    return this.verify(ProofVerifier.fromSolidityProof(proof), args)
+  }
+
+  /** Inverse of websnark's toSolidityInput: the contract takes affine points with swapped G2 coordinates */
+  static fromSolidityProof(proof) {
+    if (!new RegExp(`^0x[0-9a-fA-F]{${PROOF_WORDS * 64}}$`).test(proof)) {
+      throw new Error('The proof has invalid format')
+    }
+    const words = []
+    for (let i = 0; i < PROOF_WORDS; i++) {
+      words.push(bigInt('0x' + proof.slice(2 + i * 64, 2 + (i + 1) * 64)))
+    }
+    return {
+      pi_a: [words[0], words[1], bigInt(1)],
+      pi_b: [[words[3], words[2]], [words[5], words[4]], [bigInt(1), bigInt(0)]],
+      pi_c: [words[6], words[7], bigInt(1)]
+    }
+  }
+}
+
+module.exports = ProofVerifier
@@ -0,0 +1,154 @@
+const path = require('path')
+const { Worker } = require('worker_threads')
+const { stringifyBigInts } = require('snarkjs/src/stringifybigint')
+
+const PROVER_TYPES = ['websnark', 'snarkjs']
+
+/**
+ * Runs witness calculation and proving in a worker thread, so the main thread stays responsive.
+ * The worker is started with the first proof and reused for the following ones. When the websnark
+ * prover can't run (no wasm, or the worker crashes) and a fallback is given, the proof is made
+ * with snarkjs instead.
+ */
+class Prover {
+
+  /**
+   * @param type 'websnark' (wasm) or 'snarkjs' (pure js, needs the JSON proving key)
+   * @param circuit Parsed circuit
+   * @param provingKey websnark proving key ArrayBuffer or parsed snarkjs proving key
+   * @param timeout Seconds before a proof is abandoned, 0 for none
+   * @param onProgress Called with the stage name: 'witness', 'proving' or 'fallback'
+   * @param fallback Returns the parsed snarkjs proving key, to use snarkjs when websnark fails
+   * @param workerFile Worker script (default: ProverWorker.js)
+   */
+  constructor({ type, circuit, provingKey, timeout = 0, onProgress, fallback, workerFile = path.join(__dirname, 'ProverWorker.js') }) {
+    if (!PROVER_TYPES.includes(type)) {
+      throw new Error(`Unknown prover ${type}, use ${PROVER_TYPES.join(' or ')}`)
+    }
+    this.type = type
+    this.circuit = circuit
+    this.provingKey = provingKey
+    this.timeout = timeout
+    this.onProgress = onProgress || (() => {})
+    this.fallback = fallback
+    this.workerFile = workerFile
+    this.worker = null
+    this.pending = null
+  }
+
+  /**
+   * Compute the proof for a circuit input. Ctrl-C cancels it instead of waiting for it.
+   * @param input Circuit input
+   * @returns Proof with pi_a, pi_b, pi_c and publicSignals
+   */
+  async prove(input) {
+    const cancel = () => this.cancel()
+    process.once('SIGINT', cancel)
+    try {
+      return await this.proveWithFallback(input)
+    } finally {
+      process.removeListener('SIGINT', cancel)
+    }
+  }
+
+  async proveWithFallback(input) {
+    try {
+      return await this.run(input)
+    } catch (e) {
+      if (!e.proverFailed || this.type !== 'websnark' || !this.fallback) {
+        throw e
+      }
+      let provingKey
+      try {
+        provingKey = this.fallback()
+      } catch (fallbackError) {
+        throw new Error(`${e.message}, and the snarkjs prover is unavailable too: ${fallbackError.message}`)
+      }
+      this.onProgress('fallback')
+      // the worker was started for websnark
+      this.terminate()
+      this.type = 'snarkjs'
+      this.provingKey = provingKey
+      return this.run(input)
+    }
+  }
+
+  /** Compute a proof in the worker, starting it if needed */
+  run(input) {
+    if (this.pending) {
+      return Promise.reject(new Error('A proof is already being generated'))
+    }
+    if (!this.worker) {
+      this.worker = new Worker(this.workerFile, {
+        workerData: { type: this.type, circuit: this.circuit, provingKey: this.provingKey }
+      })
+    }
+    const worker = this.worker
+    worker.ref()
+
+    return new Promise((resolve, reject) => {
+      let timer
+      const onMessage = message => {
+        if (message.stage) {
+          this.onProgress(message.stage)
+        } else if (message.error) {
+          finish(Object.assign(new Error(message.error), { proverFailed: message.proverFailed }))
+        } else {
+          finish(null, message.proofData)
+        }
+      }
+      const onExit = code => {
+        this.worker = null
+        finish(Object.assign(new Error(`The prover worker stopped with exit code ${code}`), { proverFailed: true }))
+      }
+      // a worker that threw can't take the next proof
+      const onError = error => {
+        finish(Object.assign(error, { proverFailed: true }))
+        this.terminate()
+      }
+      const finish = (error, proofData) => {
+        clearTimeout(timer)
+        worker.removeListener('message', onMessage)
+        worker.removeListener('error', onError)
+        worker.removeListener('exit', onExit)
+        // an idle worker must not keep the process alive
+        worker.unref()
+        this.pending = null
+        if (error) {
+          reject(error)
+        } else {
+          resolve(proofData)
+        }
+      }
+
+      worker.on('message', onMessage)
+      worker.on('error', onError)
+      worker.on('exit', onExit)
+      this.pending = finish
+      if (this.timeout > 0) {
+        timer = setTimeout(() => this.cancel(new Error(`Proof generation timed out after ${this.timeout}s`)), this.timeout * 1000)
+      }
+      worker.postMessage({ input: stringifyBigInts(input) })
+    })
+  }
+
+  /**
+   * Abort the proof in progress, the worker is restarted for the next one
+   * @param reason Error the pending proof is rejected with
+   */
+  cancel(reason = new Error('Proof generation cancelled')) {
+    if (this.pending) {
+      this.pending(reason)
+    }
+    this.terminate()
+  }
+
+  terminate() {
+    if (this.worker) {
+      this.worker.terminate()
+      this.worker = null
+    }
+  }
+}
+
+module.exports = Prover
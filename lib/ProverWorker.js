@@ -0,0 +1,49 @@
+/*
+  Worker thread computing the witness and the groth16 proof of a withdrawal.
+  Started by lib/Prover.js with the circuit, the proving key and the prover type as workerData.
+*/
+
+const { parentPort, workerData } = require('worker_threads')
+const snarkjs = require('snarkjs')
+const buildGroth16 = require('websnark/src/groth16')
+const websnarkUtils = require('websnark/src/utils')
+const { stringifyBigInts, unstringifyBigInts } = require('snarkjs/src/stringifybigint')
+
+const { type, provingKey } = workerData
+let groth16, circuit, snarkjsProvingKey
+
+async function prove(input) {
+  if (type === 'websnark') {
+    if (!groth16) {
+      try {
+        groth16 = await buildGroth16()
+      } catch (e) {
+        throw Object.assign(new Error(`The websnark wasm prover is unavailable (${e.message})`), { proverFailed: true })
+      }
+    }
+    // websnark calculates the witness and proves in one call
+    parentPort.postMessage({ stage: 'proving' })
+    return websnarkUtils.genWitnessAndProve(groth16, input, workerData.circuit, provingKey)
+  }
+
+  parentPort.postMessage({ stage: 'witness' })
+  if (!circuit) {
+    circuit = new snarkjs.Circuit(unstringifyBigInts(workerData.circuit))
+    snarkjsProvingKey = unstringifyBigInts(provingKey)
+  }
+  const witness = circuit.calculateWitness(input)
+  const publicSignals = witness.slice(1, circuit.nPubInputs + circuit.nOutputs + 1)
+
+  parentPort.postMessage({ stage: 'proving' })
+  const { proof } = snarkjs.groth.genProof(snarkjsProvingKey, witness)
+  return Object.assign({}, proof, { publicSignals })
+}
+
+parentPort.on('message', async ({ input }) => {
+  try {
+    const proofData = await prove(unstringifyBigInts(input))
+    parentPort.postMessage({ proofData: stringifyBigInts(proofData) })
+  } catch (e) {
+    parentPort.postMessage({ error: e.message, proverFailed: Boolean(e.proverFailed) })
+  }
+})
@@ -0,0 +1,93 @@
+/*
+  Transactions signed elsewhere: the unsigned payload for a cold wallet and the signed transaction it returns
+*/
+
+const rlp = require('rlp')
+const { toBN, toChecksumAddress, keccak256 } = require('web3-utils')
+
+// rlp wants minimal big-endian bytes for quantities, with zero as the empty string
+function quantity(n) {
+  const hex = toBN(n).toString(16)
+  return hex === '0' ? Buffer.alloc(0) : Buffer.from(hex.length % 2 ? '0' + hex : hex, 'hex')
+}
+
+const toQuantity = buffer => '0x' + (buffer.toString('hex').replace(/^0+/, '') || '0')
+
+/**
+ * Hex RLP of the EIP-155 signing payload of a transaction
+ * @param tx Transaction with nonce, gasPrice, gas, to, value, data and chainId
+ */
+function signingPayload(tx) {
+  const fields = [
+    quantity(tx.nonce), quantity(tx.gasPrice), quantity(tx.gas), tx.to, quantity(tx.value), tx.data,
+    quantity(tx.chainId), Buffer.alloc(0), Buffer.alloc(0)
+  ]
+  return '0x' + rlp.encode(fields).toString('hex')
+}
+
+/**
+ * Hash a cold wallet signs for a transaction
+ * @param tx Transaction, see signingPayload
+ */
+function signingHash(tx) {
+  return keccak256(signingPayload(tx))
+}
+
+/**
+ * Encode an unsigned transaction as --tx-format: JSON, or the hex RLP of its EIP-155 signing payload
+ * @param tx Transaction from buildTransaction
+ * @param format 'json' or 'rlp'
+ */
+function formatUnsigned(tx, format) {
+  if (format === 'json') {
+    return JSON.stringify(tx, null, 2)
+  }
+  if (format !== 'rlp') {
+    throw new Error(`Unknown transaction format ${format}, use json or rlp`)
+  }
+  return signingPayload(tx)
+}
+
+/**
+ * Read the fields, sender and hash of a signed transaction
+ * @param web3 Web3 instance, recovers the sender
+ * @param rawTransaction 0x-prefixed signed transaction
+ * @returns The transaction in the form of buildTransaction and its hash
+ */
+function decodeSigned(web3, rawTransaction) {
+  let fields
+  try {
+    fields = rlp.decode(rawTransaction)
+  } catch (e) {
+    throw new Error(`The signed transaction is not valid RLP: ${e.message}`)
+  }
+  if (!Array.isArray(fields) || fields.length !== 9) {
+    throw new Error('The signed transaction must have 9 fields')
+  }
+  const [nonce, gasPrice, gas, to, value, data, v, r, s] = fields
+  if (r.length === 0 || s.length === 0) {
+    throw new Error('The transaction is not signed')
+  }
+  const recovery = toBN(toQuantity(v)).toNumber()
+  const tx = {
+    from: web3.eth.accounts.recoverTransaction(rawTransaction),
+    to: to.length ? toChecksumAddress('0x' + to.toString('hex')) : null,
+    data: '0x' + data.toString('hex'),
+    value: toQuantity(value),
+    nonce: toBN(toQuantity(nonce)).toNumber(),
+    gas: toQuantity(gas),
+    gasPrice: toQuantity(gasPrice)
+  }
+  // v is 27 or 28 before EIP-155, chainId * 2 + 35 or 36 after
+  if (recovery >= 35) {
+    tx.chainId = Math.floor((recovery - 35) / 2)
+  }
+  return { tx, hash: keccak256(rawTransaction) }
+}
+
+module.exports = {
+  signingPayload,
+  signingHash,
+  formatUnsigned,
+  decodeSigned
+}
@@ -0,0 +1,63 @@
+const { toBN, toWei } = require('web3-utils')
+
+// gas the relayer is paid for when its /status does not say, enough for a withdrawal
+const DEFAULT_GAS_LIMIT = 1e6
+
+/**
+ * Fee model of a relayer, from its /status response: a percentage of the withdrawn amount
+ * (relayerServiceFee) plus the gas of the withdraw transaction at the relayer's fast gas price.
+ */
+class RelayerFee {
+
+  /**
+   * @param status Relayer /status response
+   */
+  constructor(status) {
+    const { relayerAddress, gasPrices } = status
+    if (!/^0x[0-9a-fA-F]{40}$/.test(relayerAddress || '')) {
+      throw new Error('The relayer status has no relayer address')
+    }
+    if (!gasPrices || !(Number(gasPrices.fast) >= 0)) {
+      throw new Error('The relayer status has no fast gas price')
+    }
+    this.relayerAddress = relayerAddress
+    this.gasPrice = toBN(toWei(Number(gasPrices.fast).toFixed(9), 'gwei'))
+    this.gasLimit = toBN(status.gasLimit || DEFAULT_GAS_LIMIT)
+    this.serviceFee = status.relayerServiceFee !== undefined ? status.relayerServiceFee : 0
+    this.serviceFeePercent = RelayerFee.parsePercent(this.serviceFee)
+  }
+
+  /**
+   * Fee breakdown of a withdrawal
+   * @param amount Withdrawn amount in wei as BN
+   * @returns Gas cost, service fee, total fee and the net amount the recipient gets, in wei as BN
+   */
+  calculate(amount) {
+    const gas = this.gasPrice.mul(this.gasLimit)
+    const { numerator, denominator } = this.serviceFeePercent
+    const service = amount.mul(numerator).div(denominator)
+    const total = gas.add(service)
+    if (total.gte(amount)) {
+      throw new Error('The relayer fee is more than the withdrawn amount')
+    }
+    return { gas, service, total, net: amount.sub(total) }
+  }
+
+  /**
+   * Exact fraction for a percentage, avoiding floating point rounding
+   * @param percent Percentage as a number or decimal string, e.g. 0.25
+   */
+  static parsePercent(percent) {
+    const match = /^(\d+)(?:\.(\d+))?$/.exec(String(percent))
+    if (!match) {
+      throw new Error(`Invalid relayer service fee ${percent}`)
+    }
+    const decimals = match[2] || ''
+    return {
+      numerator: toBN(match[1] + decimals),
+      denominator: toBN(100).mul(toBN(10).pow(toBN(decimals.length)))
+    }
+  }
+}
+
+module.exports = RelayerFee
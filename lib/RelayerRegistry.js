@@ -0,0 +1,126 @@
+const fs = require('fs')
+const RelayerFee = require('./RelayerFee')
+
+/**
+ * The configured relayers. Each one is probed on /status for reachability, network, latency,
+ * the pool contracts it serves and its fee, and the healthy ones are ranked cheapest first,
+ * then fastest, so a withdrawal can fall back to the next one when a relayer fails.
+ */
+class RelayerRegistry {
+
+  /**
+   * @param urls Relayer urls
+   * @param http Http client with an axios compatible get
+   * @param timeout Milliseconds to wait for a /status response
+   */
+  constructor(urls, http, { timeout = 10000 } = {}) {
+    this.urls = [...new Set(urls.map(url => url.trim().replace(/\/+$/, '')).filter(url => url))]
+    this.http = http
+    this.timeout = timeout
+  }
+
+  /**
+   * Relayer urls from a comma separated list
+   * @param spec Comma separated urls
+   */
+  static parse(spec) {
+    return (spec || '').split(',').map(url => url.trim()).filter(url => url)
+  }
+
+  /**
+   * Relayer urls from a JSON file, an array of urls or of { url } objects
+   * @param file Relayers file
+   */
+  static load(file) {
+    const relayers = JSON.parse(fs.readFileSync(file, 'utf8'))
+    if (!Array.isArray(relayers)) {
+      throw new Error(`${file} must hold an array of relayers`)
+    }
+    return relayers.map(relayer => {
+      const url = typeof relayer === 'string' ? relayer : relayer && relayer.url
+      if (!url) {
+        throw new Error(`${file}: relayer ${JSON.stringify(relayer)} has no url`)
+      }
+      return url
+    })
+  }
+
+  /**
+   * Probe a relayer
+   * @param url Relayer url
+   * @param netId Network id of the node
+   * @param contract Address of the pool contract
+   * @param amount Withdrawn amount in wei as BN
+   * @returns The url, whether it is healthy or the reason it is not, the latency in ms, and for a
+   * healthy relayer its RelayerFee and the fee breakdown of the amount
+   */
+  async probe(url, { netId, contract, amount }) {
+    const start = Date.now()
+    let status
+    try {
+      status = (await this.http.get(url + '/status', { timeout: this.timeout })).data
+    } catch (e) {
+      return { url, healthy: false, reason: `unreachable: ${e.message}` }
+    }
+    const latency = Date.now() - start
+    const unhealthy = reason => ({ url, healthy: false, reason, latency })
+    if (!status || typeof status !== 'object') {
+      return unhealthy('invalid /status response')
+    }
+    if (status.netId !== netId && status.netId !== '*') {
+      return unhealthy(`serves network ${status.netId}`)
+    }
+    if (!RelayerRegistry.supportsContract(status, contract)) {
+      return unhealthy(`does not serve contract ${contract}`)
+    }
+    let fee
+    let breakdown
+    try {
+      fee = new RelayerFee(status)
+      breakdown = fee.calculate(amount)
+    } catch (e) {
+      return unhealthy(e.message)
+    }
+    return { url, healthy: true, latency, fee, breakdown }
+  }
+
+  /**
+   * Probe every relayer and rank the healthy ones by fee, then latency
+   * @param target Network, contract and amount, see probe
+   * @returns The healthy relayers, cheapest first, and the unhealthy ones
+   */
+  async rank(target) {
+    const relayers = await Promise.all(this.urls.map(url => this.probe(url, target)))
+    return {
+      healthy: relayers.filter(r => r.healthy).sort(RelayerRegistry.compare),
+      unhealthy: relayers.filter(r => !r.healthy)
+    }
+  }
+
+  /** Order of healthy relayers: lower total fee first, then lower latency */
+  static compare(a, b) {
+    return a.breakdown.total.cmp(b.breakdown.total) || a.latency - b.latency
+  }
+
+  /**
+   * Whether a relayer serves a pool contract. Relayers list their contracts in `contracts` or,
+   * keyed by currency and amount, in `instances`; a relayer that lists none is assumed to serve all.
+   * @param status Relayer /status response
+   * @param contract Address of the pool contract
+   */
+  static supportsContract(status, contract) {
+    const addresses = []
+    const collect = value => {
+      if (typeof value === 'string' && /^0x[0-9a-fA-F]{40}$/.test(value)) {
+        addresses.push(value.toLowerCase())
+      } else if (value && typeof value === 'object') {
+        Object.values(value).forEach(collect)
+      }
+    }
+    collect(status.contracts)
+    collect(status.instances)
+    return addresses.length === 0 || addresses.includes(contract.toLowerCase())
+  }
+}
+
+module.exports = RelayerRegistry
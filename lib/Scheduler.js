@@ -0,0 +1,114 @@
+const crypto = require('crypto')
+const JsonStore = require('./JsonStore')
+
+const HOUR = 3600 * 1000
+
+/**
+ * Withdrawal schedule. Notes are referenced by vault id, so the schedule file holds no secrets.
+ * Each withdrawal gets a random time between the minimum and maximum delay, which also makes the
+ * order random, and can wait for a number of later deposits into its pool.
+ */
+class Scheduler extends JsonStore {
+
+  constructor(file) {
+    super(file, { indent: 2 })
+    this.withdrawals = []
+    this.nextId = 1
+    this.load()
+  }
+
+  fromJSON(data) {
+    this.withdrawals = data.withdrawals
+    this.nextId = data.nextId
+  }
+
+  toJSON() {
+    return { nextId: this.nextId, withdrawals: this.withdrawals }
+  }
+
+  /**
+   * Schedule the withdrawal of notes. Recipients are assigned in turn after the notes are shuffled.
+   * @param vaultIds Vault ids of the notes
+   * @param recipients Recipient addresses
+   * @param minDelay Hours from now before the earliest withdrawal
+   * @param maxDelay Hours from now before the latest withdrawal
+   * @param minDepositsAfter Later deposits into the pool a note waits for
+   * @param relay Relay url, or undefined to send from the sender account
+   * @param now Current time in ms
+   * @returns The new withdrawals, in order of time
+   */
+  plan(vaultIds, recipients, { minDelay, maxDelay, minDepositsAfter = 0, relay, now = Date.now() }) {
+    if (recipients.length === 0) {
+      throw new Error('There is no recipient to withdraw to')
+    }
+    if (minDelay < 0 || maxDelay < minDelay) {
+      throw new Error(`Invalid delay range ${minDelay} to ${maxDelay} hours`)
+    }
+    const added = this.change(() => {
+      const scheduled = this.withdrawals.filter(w => w.status === 'scheduled').map(w => w.vaultId)
+      const duplicate = vaultIds.find(id => scheduled.includes(id))
+      if (duplicate !== undefined) {
+        throw new Error(`Note #${duplicate} is already scheduled`)
+      }
+      const withdrawals = Scheduler.shuffle(vaultIds).map((vaultId, i) => ({
+        id: this.nextId++,
+        vaultId,
+        recipient: recipients[i % recipients.length],
+        relay,
+        minDepositsAfter,
+        withdrawAt: new Date(now + Scheduler.random(minDelay * HOUR, maxDelay * HOUR)).toISOString(),
+        status: 'scheduled',
+        attempts: 0
+      }))
+      this.withdrawals.push(...withdrawals)
+      return withdrawals
+    })
+    return added.sort((a, b) => Date.parse(a.withdrawAt) - Date.parse(b.withdrawAt))
+  }
+
+  /**
+   * Scheduled withdrawals whose time has come, earliest first
+   * @param now Current time in ms
+   */
+  due(now = Date.now()) {
+    return this.pending().filter(w => Date.parse(w.withdrawAt) <= now)
+  }
+
+  /** Withdrawals still to do, earliest first */
+  pending() {
+    return this.withdrawals
+      .filter(w => w.status === 'scheduled')
+      .sort((a, b) => Date.parse(a.withdrawAt) - Date.parse(b.withdrawAt))
+  }
+
+  get(id) {
+    const withdrawal = this.withdrawals.find(w => w.id === Number(id))
+    if (!withdrawal) {
+      throw new Error(`There is no scheduled withdrawal ${id}`)
+    }
+    return withdrawal
+  }
+
+  update(id, fields) {
+    this.change(() => Object.assign(this.get(id), fields))
+  }
+
+  /** Fisher-Yates shuffle with a cryptographic random source */
+  static shuffle(items) {
+    const shuffled = items.slice()
+    for (let i = shuffled.length - 1; i > 0; i--) {
+      const j = Math.floor(Scheduler.random(0, i + 1))
+      const item = shuffled[i]
+      shuffled[i] = shuffled[j]
+      shuffled[j] = item
+    }
+    return shuffled
+  }
+
+  /** Uniform random number in [min, max) from a cryptographic random source */
+  static random(min, max) {
+    return min + crypto.randomBytes(4).readUInt32BE(0) / 0x100000000 * (max - min)
+  }
+}
+
+module.exports = Scheduler
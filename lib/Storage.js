@@ -1,38 +1,45 @@
 
 
+/**
+ * In-memory key/value storage for MerkleTree.
+ * All methods are async so it can be swapped for a persistent implementation.
+ */
 class JsStorage {
   constructor() {
     this.db = {}
   }
 
   get(key) {
-    return this.db[key]
+    return Promise.resolve(this.db[key])
   }
 
   get_or_element(key, defaultElement) {
     const element = this.db[key]
     if (element === undefined) {
-      return defaultElement
+      return Promise.resolve(defaultElement)
     } else {
-      return element
+      return Promise.resolve(element)
     }
   }
 
   put(key, value) {
     if (key === undefined || value === undefined) {
-      throw Error('key or value is undefined')
+      return Promise.reject(Error('key or value is undefined'))
     }
     this.db[key] = value
+    return Promise.resolve()
   }
 
   del(key) {
     delete this.db[key]
+    return Promise.resolve()
   }
 
   put_batch(key_values) {
     key_values.forEach(element => {
       this.db[element.key] = element.value
     })
+    return Promise.resolve()
   }
 }
 
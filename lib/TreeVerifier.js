@@ -0,0 +1,206 @@
+const snarkjs = require('snarkjs')
+const MerkleTree = require('./MerkleTree')
+
+const bigInt = snarkjs.bigInt
+
+const toHex = number => '0x' + bigInt(number).toString(16).padStart(64, '0')
+
+/**
+ * Compares a locally rebuilt MerkleTree with the tornado contract state
+ * (nextIndex, filledSubtrees, getLastRoot and the roots history) and explains mismatches.
+ */
+class TreeVerifier {
+
+  /**
+   * @param contract Tornado contract
+   * @param tree MerkleTree built from the events
+   * @param events Deposit events the tree was built from
+   */
+  constructor(contract, tree, events) {
+    this.contract = contract
+    this.tree = tree
+    this.events = events
+  }
+
+  async verify() {
+    const methods = this.contract.methods
+    const [nextIndex, lastRoot, currentRootIndex, rootHistorySize] = (await Promise.all([
+      methods.nextIndex().call(),
+      methods.getLastRoot().call(),
+      methods.currentRootIndex().call(),
+      methods.ROOT_HISTORY_SIZE().call()
+    ])).map((value, i) => i === 1 ? value : Number(value))
+    await this.tree.ready
+
+    const report = Object.assign({
+      nextIndex,
+      localSize: this.tree.totalElements,
+      lastRoot,
+      localRoot: toHex(await this.tree.root()),
+      filledSubtreeMismatches: [],
+      divergence: null,
+      problems: []
+    }, this.checkEvents(nextIndex))
+
+    if (report.localSize !== nextIndex) {
+      report.problems.push(`The local tree has ${report.localSize} leaves, the contract has ${nextIndex}`)
+    }
+    if (report.missing.length > 0) {
+      report.problems.push(`Missing leaf indices: ${TreeVerifier.formatRanges(report.missing)}`)
+    }
+    report.duplicates.forEach(({ leafIndex, events }) => {
+      report.problems.push(`Leaf ${leafIndex} has ${events.length} events: ${events.map(e => `${e.transactionHash} (block ${e.blockNumber})`).join(', ')}`)
+    })
+    report.gaps.forEach(({ from, to, afterBlock, beforeBlock }) => {
+      report.problems.push(`No events for leaves ${from}-${to}, expected between blocks ${afterBlock} and ${beforeBlock}`)
+    })
+
+    if (report.localSize === nextIndex && nextIndex > 0) {
+      report.filledSubtreeMismatches = await this.checkFilledSubtrees(nextIndex)
+      if (report.filledSubtreeMismatches.length > 0) {
+        report.problems.push(`filledSubtrees differ at levels ${report.filledSubtreeMismatches.join(', ')}`)
+      }
+    }
+
+    report.valid = report.problems.length === 0 && report.localRoot === lastRoot
+    if (!report.valid) {
+      report.divergence = await this.findDivergence(nextIndex, currentRootIndex, rootHistorySize)
+      report.problems.push(this.describeDivergence(report.divergence, nextIndex))
+    }
+    return report
+  }
+
+  /** Find missing and duplicate leaf indices and where the event sequence has gaps */
+  checkEvents(nextIndex) {
+    const byIndex = new Map()
+    for (const event of this.events) {
+      const leafIndex = Number(event.returnValues.leafIndex)
+      byIndex.set(leafIndex, (byIndex.get(leafIndex) || []).concat(event))
+    }
+    const duplicates = []
+    for (const [leafIndex, events] of byIndex) {
+      if (events.length > 1) {
+        duplicates.push({ leafIndex, events })
+      }
+    }
+
+    const missing = []
+    const gaps = []
+    for (let i = 0; i < nextIndex; i++) {
+      if (byIndex.has(i)) {
+        continue
+      }
+      missing.push(i)
+      const last = gaps[gaps.length - 1]
+      if (last && last.to === i - 1) {
+        last.to = i
+      } else {
+        gaps.push({ from: i, to: i })
+      }
+    }
+    for (const gap of gaps) {
+      const before = byIndex.get(gap.from - 1)
+      const after = byIndex.get(gap.to + 1)
+      gap.afterBlock = before ? before[0].blockNumber : this.contract.deployedBlock
+      gap.beforeBlock = after ? after[0].blockNumber : 'latest'
+    }
+    return { missing, duplicates: duplicates.sort((a, b) => a.leafIndex - b.leafIndex), gaps }
+  }
+
+  /** Levels at which the contract's filledSubtrees differ from the local tree */
+  async checkFilledSubtrees(nextIndex) {
+    const mismatches = []
+    for (let level = 0; level < this.tree.n_levels; level++) {
+      const index = Math.floor((nextIndex - 1) / 2 ** level)
+      // the contract keeps the last left node of every level
+      const local = await this.node(level, index % 2 === 0 ? index : index - 1)
+      const remote = await this.contract.methods.filledSubtrees(level).call()
+      if (toHex(local) !== remote) {
+        mismatches.push(level)
+      }
+    }
+    return mismatches
+  }
+
+  /**
+   * Compare the contract root history with the local roots after the same number of leaves,
+   * returning the first leaf after the last matching root
+   */
+  async findDivergence(nextIndex, currentRootIndex, rootHistorySize) {
+    for (let back = 0; back < rootHistorySize && back <= nextIndex; back++) {
+      const size = nextIndex - back
+      if (size > this.tree.totalElements) {
+        continue
+      }
+      const rootIndex = (currentRootIndex - back + rootHistorySize) % rootHistorySize
+      const remote = await this.contract.methods.roots(rootIndex).call()
+      if (toHex(await this.prefixRoot(size)) === remote) {
+        if (back === 0) {
+          return null
+        }
+        const event = this.events.find(e => Number(e.returnValues.leafIndex) === size)
+        return { leafIndex: size, event: event || null, matchedRoots: size }
+      }
+    }
+    return { leafIndex: null, event: null, matchedRoots: null, before: Math.max(nextIndex - rootHistorySize + 1, 0) }
+  }
+
+  describeDivergence(divergence, nextIndex) {
+    if (!divergence) {
+      return 'The tree matches the contract up to its last root'
+    }
+    if (divergence.leafIndex === null) {
+      return `No root of the last ${nextIndex - divergence.before + 1} matches, the tree diverges before leaf ${divergence.before}`
+    }
+    const { leafIndex, event } = divergence
+    if (!event) {
+      return `The tree diverges at leaf ${leafIndex}, which has no Deposit event`
+    }
+    return `The tree diverges at leaf ${leafIndex}: the Deposit event from block ${event.blockNumber} ` +
+      `(tx ${event.transactionHash}) does not match the contract, refetch events from that block with --rewind ${event.blockNumber}`
+  }
+
+  /**
+   * Root of the tree made of its first `size` leaves, computed from the current tree:
+   * left siblings are complete subtrees, right siblings past the last leaf are zero
+   */
+  async prefixRoot(size) {
+    if (size === 0) {
+      return this.tree.zero_values[this.tree.n_levels]
+    }
+    let index = size - 1
+    let current = await this.node(0, index)
+    for (let level = 0; level < this.tree.n_levels; level++) {
+      if (index % 2 === 0) {
+        current = this.tree.hasher.hash(level, current, this.tree.zero_values[level])
+      } else {
+        current = this.tree.hasher.hash(level, await this.node(level, index - 1), current)
+      }
+      index = Math.floor(index / 2)
+    }
+    return current
+  }
+
+  node(level, index) {
+    return this.tree.storage.get_or_element(
+      MerkleTree.index_to_key(this.tree.prefix, level, index),
+      this.tree.zero_values[level],
+    )
+  }
+
+  /** Compact list of indices, e.g. 1-3, 7 */
+  static formatRanges(indices) {
+    const ranges = []
+    for (const i of indices) {
+      const last = ranges[ranges.length - 1]
+      if (last && last[1] === i - 1) {
+        last[1] = i
+      } else {
+        ranges.push([i, i])
+      }
+    }
+    return ranges.map(([from, to]) => from === to ? `${from}` : `${from}-${to}`).join(', ')
+  }
+}
+
+module.exports = TreeVerifier
@@ -0,0 +1,85 @@
+const JsonStore = require('./JsonStore')
+
+/**
+ * Journal of the transactions sent by the CLI that are not mined yet.
+ * Every entry keeps the transaction fields and the hashes of all its broadcasts
+ * (speed-ups and cancellations reuse the nonce), so a transaction can still be
+ * waited for, sped up or cancelled after a restart.
+ */
+class TxJournal extends JsonStore {
+
+  constructor(file) {
+    super(file, { indent: 2 })
+    this.transactions = []
+    this.nextId = 1
+    this.load()
+  }
+
+  fromJSON(data) {
+    this.transactions = data.transactions
+    this.nextId = data.nextId
+  }
+
+  toJSON() {
+    return { nextId: this.nextId, transactions: this.transactions }
+  }
+
+  /**
+   * Record a broadcast transaction
+   * @param entry Kind ('deposit', 'withdraw'), transaction fields (from, nonce, ...), hashes and metadata
+   */
+  add(entry) {
+    return this.change(() => {
+      const transaction = Object.assign({ id: this.nextId++, createdAt: new Date().toISOString() }, entry)
+      this.transactions.push(transaction)
+      return transaction
+    })
+  }
+
+  get(id) {
+    const transaction = this.transactions.find(t => t.id === Number(id))
+    if (!transaction) {
+      throw new Error(`There is no pending transaction ${id}`)
+    }
+    return transaction
+  }
+
+  /**
+   * Pending transactions, optionally only the ones sent from an address
+   * @param from Sender address
+   */
+  list(from) {
+    return from
+      ? this.transactions.filter(t => t.tx && t.tx.from.toLowerCase() === from.toLowerCase())
+      : this.transactions
+  }
+
+  /**
+   * Record a replacement broadcast with the same nonce
+   * @param id Entry id
+   * @param txHash Hash of the new transaction
+   * @param fields Changed transaction fields (gasPrice, or all of them for a cancellation)
+   */
+  replace(id, txHash, fields) {
+    return this.change(() => {
+      const transaction = this.get(id)
+      Object.assign(transaction.tx, fields)
+      transaction.hashes.push(txHash)
+      return transaction
+    })
+  }
+
+  update(id, fields) {
+    this.change(() => Object.assign(this.get(id), fields))
+  }
+
+  remove(id) {
+    return this.change(() => {
+      const transaction = this.get(id)
+      this.transactions = this.transactions.filter(t => t !== transaction)
+      return transaction
+    })
+  }
+}
+
+module.exports = TxJournal
@@ -0,0 +1,57 @@
+/*
+  Local accounts for signing transactions without an unlocked node account
+*/
+
+const bip39 = require('bip39')
+const hdkey = require('ethereumjs-wallet/hdkey')
+
+// SLIP-44 coin type of Ubiq
+const DEFAULT_HD_PATH = 'm/44\'/108\'/0\'/0/0'
+
+/**
+ * Decrypt a web3 (v3) keystore
+ * @param web3 Web3 instance
+ * @param keystore Keystore JSON string
+ * @param password Keystore password
+ */
+function fromKeystore(web3, keystore, password) {
+  try {
+    return web3.eth.accounts.decrypt(JSON.parse(keystore), password)
+  } catch (e) {
+    throw new Error(`Cannot decrypt the keystore: ${e.message}`)
+  }
+}
+
+/**
+ * @param web3 Web3 instance
+ * @param privateKey Hex private key, with or without 0x
+ */
+function fromPrivateKey(web3, privateKey) {
+  privateKey = privateKey.trim()
+  if (!/^(0x)?[0-9a-fA-F]{64}$/.test(privateKey)) {
+    throw new Error('The private key must be 32 bytes of hex')
+  }
+  return web3.eth.accounts.privateKeyToAccount(privateKey.startsWith('0x') ? privateKey : '0x' + privateKey)
+}
+
+/**
+ * Derive an account from a BIP39 mnemonic
+ * @param web3 Web3 instance
+ * @param mnemonic Mnemonic words
+ * @param hdPath BIP32 derivation path
+ */
+function fromMnemonic(web3, mnemonic, hdPath = DEFAULT_HD_PATH) {
+  mnemonic = mnemonic.trim().split(/\s+/).join(' ')
+  if (!bip39.validateMnemonic(mnemonic)) {
+    throw new Error('Invalid mnemonic')
+  }
+  const wallet = hdkey.fromMasterSeed(bip39.mnemonicToSeedSync(mnemonic)).derivePath(hdPath).getWallet()
+  return fromPrivateKey(web3, wallet.getPrivateKey().toString('hex'))
+}
+
+module.exports = {
+  DEFAULT_HD_PATH,
+  fromKeystore,
+  fromPrivateKey,
+  fromMnemonic
+}
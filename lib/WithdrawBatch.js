@@ -0,0 +1,80 @@
+/*
+  Withdrawal batch files: a JSON array of { note, recipient } or CSV lines of note,recipient
+*/
+
+const fs = require('fs')
+const { isAddress } = require('web3-utils')
+const { parseNote } = require('./Note')
+
+/**
+ * Split the content of a batch file into rows, JSON for .json files or content starting with [, CSV otherwise.
+ * CSV comments (#) and a note,recipient header line are skipped.
+ * @param content File content
+ * @param file File name
+ * @returns Rows with a name (line or entry number), the note or vault id and the recipient
+ */
+function parseWithdrawBatch(content, file) {
+  if (file.endsWith('.json') || content.trim().startsWith('[')) {
+    let json
+    try {
+      json = JSON.parse(content)
+    } catch (e) {
+      throw new Error(`${file} is not valid JSON: ${e.message}`)
+    }
+    if (!Array.isArray(json)) {
+      throw new Error(`${file} must contain an array of { note, recipient } objects`)
+    }
+    return json.map((row, i) => Object.assign({ name: `entry ${i + 1}` }, row))
+  }
+  return content.split('\n')
+    .map((line, i) => ({ name: `line ${i + 1}`, cells: line.split(',').map(cell => cell.trim()) }))
+    .filter(({ cells }) => cells[0] && !cells[0].startsWith('#') && cells[0] !== 'note')
+    .map(({ name, cells }) => {
+      if (cells.length !== 2) {
+        throw new Error(`${name}: expected note,recipient`)
+      }
+      return { name, note: cells[0], recipient: cells[1] }
+    })
+}
+
+/**
+ * Read a withdrawal batch. Notes can be vault ids. The whole file is checked before anything is
+ * withdrawn: every row needs a valid note and recipient address, and a note may appear only once.
+ * @param file Batch file
+ * @param resolveNote Async function returning the note string of a note or vault id
+ * @returns Entries with a name, the parsed note, the recipient and the vault id
+ */
+async function loadWithdrawBatch(file, resolveNote) {
+  const rows = parseWithdrawBatch(fs.readFileSync(file, 'utf8'), file)
+  if (rows.length === 0) {
+    throw new Error(`There are no withdrawals in ${file}`)
+  }
+
+  const entries = []
+  const names = new Map()
+  for (const { name, note, recipient } of rows) {
+    if (!note || typeof recipient !== 'string' || !isAddress(recipient)) {
+      throw new Error(`${name}: expected a note and a recipient address`)
+    }
+    const vaultId = /^\d+$/.test(note) ? Number(note) : undefined
+    let parsed
+    try {
+      parsed = parseNote(await resolveNote(String(note)))
+    } catch (e) {
+      throw new Error(`${name}: ${e.message}`)
+    }
+    // the same deposit can be given as a note and as its vault id
+    const nullifierHash = parsed.deposit.nullifierHash.toString()
+    if (names.has(nullifierHash)) {
+      throw new Error(`${name}: the note of ${names.get(nullifierHash)} again, a note can be withdrawn only once`)
+    }
+    names.set(nullifierHash, name)
+    entries.push({ name, note: parsed, recipient, vaultId })
+  }
+  return entries
+}
+
+module.exports = {
+  parseWithdrawBatch,
+  loadWithdrawBatch
+}
@@ -0,0 +1,37 @@
+require('chai').should()
+const { toBN, toWei } = require('web3-utils')
+
+const { splitAmount, notesTotal } = require('../lib/AmountSplit')
+
+describe('AmountSplit', () => {
+  // out of order, the split must not depend on the pool ids
+  const POOLS = new Map([
+    [1, { denomination: 8e18 }],
+    [2, { denomination: 1e18 }],
+    [3, { denomination: 88e18 }]
+  ])
+  const split = amount => splitAmount(toBN(toWei(amount)), POOLS)
+
+  it('should split an amount exactly, largest denomination first', () => {
+    const { plan, leftover } = split('105')
+    plan.should.be.deep.equal([{ pool: 3, count: 1 }, { pool: 1, count: 2 }, { pool: 2, count: 1 }])
+    leftover.isZero().should.be.equal(true)
+  })
+
+  it('should leave over what is below the smallest denomination', () => {
+    const { plan, leftover } = split('9.5')
+    plan.should.be.deep.equal([{ pool: 1, count: 1 }, { pool: 2, count: 1 }])
+    leftover.toString().should.be.equal(toWei('0.5'))
+  })
+
+  it('should plan nothing for an amount below the smallest pool', () => {
+    const { plan, leftover } = split('0.999999999999999999')
+    plan.should.be.deep.equal([])
+    leftover.toString().should.be.equal(toWei('0.999999999999999999'))
+  })
+
+  it('should add up the amounts of notes', () => {
+    notesTotal([{ amount: 8e18 }, { amount: 88e18 }, { amount: '1000000000000000000' }]).toString().should.be.equal(toWei('97'))
+    notesTotal([]).isZero().should.be.equal(true)
+  })
+})
@@ -0,0 +1,88 @@
+require('chai').should()
+const fs = require('fs')
+const path = require('path')
+const { toBN } = require('web3-utils')
+
+const Artifacts = require('../lib/Artifacts')
+const { useTmpDir } = require('./helpers/tmpdir')
+
+const FIELD_Q = toBN('21888242871839275222246405745257275088696311157297823662689037894645226208583')
+
+// nVars, nPublic, domainSize and the section offsets of a small key
+const HEADER = [10, 6, 4, 488, 500, 600, 700, 800, 900, 1000]
+// header of the released tornado.cash withdraw_proving_key.bin, which is 14522256 bytes
+const RELEASED_HEADER = [28300, 6, 32768, 488, 1506204, 3369616, 5180816, 6992016, 10614416, 12425168]
+const RELEASED_SIZE = 14522256
+
+/**
+ * A websnark proving key with the given alfa1 and an empty body laid out like websnark's buildpkey
+ * writes it, the last section holding domainSize points
+ */
+function provingKeyBin(alfa1, header = HEADER, size = header[9] + header[2] * 64) {
+  const data = Buffer.alloc(size)
+  header.forEach((word, i) => data.writeUInt32LE(word, i * 4))
+  const r = toBN(1).shln(256).umod(FIELD_Q)
+  alfa1.slice(0, 2).forEach((coordinate, i) => {
+    toBN(coordinate).mul(r).umod(FIELD_Q).toArrayLike(Buffer, 'le', 32).copy(data, 40 + i * 32)
+  })
+  return data
+}
+
+describe('Artifacts', () => {
+  const root = path.join(__dirname, '..')
+  const vk = JSON.parse(fs.readFileSync(path.join(root, 'circuits', 'withdraw_verification_key.json'), 'utf8'))
+  const circuit = { nVars: 10, nPubInputs: 6, nOutputs: 0 }
+  const tmp = useTmpDir('artifacts-')
+
+  const artifactsWith = (option, name, content) => {
+    const file = path.join(tmp.dir, name)
+    fs.writeFileSync(file, content)
+    return new Artifacts({ [option]: file }, tmp.dir)
+  }
+
+  it('should load the pinned verification key', () => {
+    new Artifacts({}, root).json('verificationKey').nPublic.should.be.equal(6)
+  })
+
+  it('should refuse missing, empty and modified files', () => {
+    const missing = new Artifacts({}, tmp.dir)
+    ;(() => missing.json('circuit')).should.throw('The circuit is missing')
+    ;(() => artifactsWith('circuit', 'withdraw.json', '').json('circuit')).should.throw('is empty')
+    ;(() => artifactsWith('circuit', 'withdraw.json', '{"nVars":').json('circuit')).should.throw('is truncated or modified')
+    ;(() => artifactsWith('proving-key-json', 'pk.json', '{"nVars":').json('provingKeyJson')).should.throw('is not valid JSON, it may be truncated')
+    const modified = JSON.stringify(Object.assign({}, vk, { nPublic: 7 }))
+    ;(() => artifactsWith('verification-key', 'vk.json', modified).json('verificationKey')).should.throw('is truncated or modified')
+  })
+
+  it('should check the proving key against the verification key', () => {
+    const data = provingKeyBin(vk.vk_alfa_1)
+    artifactsWith('proving-key', 'pk.bin', data).provingKey(vk, circuit).byteLength.should.be.equal(data.length)
+
+    ;(() => artifactsWith('proving-key', 'pk.bin', data.slice(0, 300)).provingKey(vk, circuit)).should.throw('is truncated: 300 bytes')
+    ;(() => artifactsWith('proving-key', 'pk.bin', data.slice(0, data.length - 128)).provingKey(vk, circuit))
+      .should.throw(`is truncated or modified: ${data.length - 128} bytes, expected ${data.length}`)
+    ;(() => artifactsWith('proving-key', 'pk.bin', Buffer.concat([data, Buffer.alloc(64)])).provingKey(vk, circuit))
+      .should.throw('is truncated or modified')
+    ;(() => artifactsWith('proving-key', 'pk.bin', provingKeyBin(['1', '2'])).provingKey(vk, circuit))
+      .should.throw('is from another trusted setup than the verification key')
+    ;(() => artifactsWith('proving-key', 'pk.bin', data).provingKey(vk, Object.assign({}, circuit, { nVars: 11 })))
+      .should.throw('they are from different builds')
+  })
+
+  it('should accept the layout of the released proving key', () => {
+    const released = provingKeyBin(vk.vk_alfa_1, RELEASED_HEADER, RELEASED_SIZE)
+    const releasedCircuit = { nVars: 28300, nPubInputs: 6, nOutputs: 0 }
+    artifactsWith('proving-key', 'pk.bin', released).provingKey(vk, releasedCircuit).byteLength.should.be.equal(RELEASED_SIZE)
+    const built = provingKeyBin(vk.vk_alfa_1, RELEASED_HEADER, RELEASED_SIZE + 64)
+    artifactsWith('proving-key', 'pk.bin', built).provingKey(vk, releasedCircuit).byteLength.should.be.equal(RELEASED_SIZE + 64)
+  })
+
+  it('should check the snarkjs proving key against the verification key', () => {
+    const provingKey = { nVars: 10, nPublic: 6, vk_alfa_1: vk.vk_alfa_1 }
+    artifactsWith('proving-key-json', 'pk.json', JSON.stringify(provingKey)).provingKeyJson(vk, circuit).nVars.should.be.equal(10)
+
+    const other = JSON.stringify(Object.assign({}, provingKey, { vk_alfa_1: ['1', '2', '1'] }))
+    ;(() => artifactsWith('proving-key-json', 'pk.json', other).provingKeyJson(vk, circuit))
+      .should.throw('is from another trusted setup than the verification key')
+  })
+})
@@ -0,0 +1,32 @@
+require('chai').should()
+const fs = require('fs')
+const path = require('path')
+
+const { writeFileAtomic } = require('../lib/AtomicFile')
+const { useTmpDir } = require('./helpers/tmpdir')
+
+describe('AtomicFile', () => {
+  const tmp = useTmpDir('atomic-')
+
+  it('should replace the file and leave no temp file', () => {
+    const file = path.join(tmp.dir, 'store', 'data.json')
+    writeFileAtomic(file, 'old')
+    writeFileAtomic(file, 'new')
+    fs.readFileSync(file, 'utf8').should.be.equal('new')
+    fs.readdirSync(path.dirname(file)).should.be.deep.equal(['data.json'])
+  })
+
+  it('should create the file with the given mode', () => {
+    const file = path.join(tmp.dir, 'secret.json')
+    writeFileAtomic(file, '{}', { mode: 0o600 })
+    ;(fs.statSync(file).mode & 0o777).should.be.equal(0o600)
+  })
+
+  it('should remove the temp file when the file cannot be replaced', () => {
+    // a directory can't be renamed over, the rename fails after the temp file is written
+    const file = path.join(tmp.dir, 'data.json')
+    fs.mkdirSync(file)
+    ;(() => writeFileAtomic(file, 'new')).should.throw()
+    fs.readdirSync(tmp.dir).should.be.deep.equal(['data.json'])
+  })
+})
@@ -0,0 +1,75 @@
+require('chai').should()
+const { sha3, padLeft, numberToHex } = require('web3-utils')
+
+const Confirmations = require('../lib/Confirmations')
+
+const TX_HASH = '0x' + '11'.repeat(32)
+const COMMITMENT = '0x' + '22'.repeat(32)
+const DEPOSIT = { kind: 'deposit', commitment: COMMITMENT, hashes: [TX_HASH] }
+
+const word = n => padLeft(numberToHex(n), 64).slice(2)
+const depositLog = leafIndex => ({
+  topics: [sha3('Deposit(bytes32,uint32,uint256)'), COMMITMENT],
+  data: '0x' + word(leafIndex) + word(1600000000)
+})
+const receipt = (blockNumber, logs = []) =>
+  ({ transactionHash: TX_HASH, blockNumber, blockHash: sha3(`block ${blockNumber}`), logs })
+
+/**
+ * web3 whose chain grows a block on every getBlockNumber call. getTransactionReceipt returns the
+ * receipts in turn, then keeps returning the last one.
+ */
+function fakeWeb3(blockNumber, receipts) {
+  return {
+    eth: {
+      getBlockNumber: () => Promise.resolve(blockNumber++),
+      getTransactionReceipt: () => Promise.resolve(receipts.length > 1 ? receipts.shift() : receipts[0])
+    }
+  }
+}
+
+describe('Confirmations', () => {
+  const confirmations = (web3, waitForMined) => {
+    const log = []
+    return { log, tracker: new Confirmations(web3, { confirmations: 3, pollInterval: 0, waitForMined, log: line => log.push(line) }) }
+  }
+
+  it('should wait until the transaction is deep enough', async () => {
+    const mined = receipt(10, [depositLog(4)])
+    const { log, tracker } = confirmations(fakeWeb3(10, [mined]))
+    ;(await tracker.wait(DEPOSIT, mined)).should.be.equal(mined)
+    log.should.be.deep.equal(['Waiting for 3 confirmations', `Transaction ${TX_HASH} has 3 confirmations`])
+  })
+
+  it('should wait for the transaction again when its receipt disappears', async () => {
+    const mined = receipt(10, [depositLog(4)])
+    const remined = receipt(12, [depositLog(5)])
+    const waited = []
+    const waitForMined = entry => {
+      waited.push(entry)
+      return Promise.resolve(remined)
+    }
+    const { log, tracker } = confirmations(fakeWeb3(10, [mined, null, remined]), waitForMined)
+    ;(await tracker.wait(DEPOSIT, mined)).should.be.equal(remined)
+    waited.should.be.deep.equal([DEPOSIT])
+    log.should.include(`WARNING: block 10 with transaction ${TX_HASH} was reorged out of the chain`)
+    log.should.include(`WARNING: transaction ${TX_HASH} is now in block 12`)
+    log.should.include('WARNING: the deposit\'s leaf index changed from 4 to 5')
+  })
+
+  it('should follow the receipt to its new block when the block hash changes', async () => {
+    const mined = receipt(10, [depositLog(4)])
+    // the deposit reverted in the new chain, e.g. as its commitment was deposited first by someone else
+    const moved = receipt(11)
+    const { log, tracker } = confirmations(fakeWeb3(10, [moved]), () => { throw new Error('not called') })
+    ;(await tracker.wait(DEPOSIT, mined)).should.be.equal(moved)
+    log.should.include(`WARNING: transaction ${TX_HASH} is now in block 11`)
+    log.should.include(`WARNING: the Deposit event of ${COMMITMENT} is gone, the note is NOT deposited`)
+  })
+
+  it('should find the leaf index of deposits only', () => {
+    Confirmations.depositLeafIndex(DEPOSIT, receipt(10, [depositLog(7)])).should.be.equal(7)
+    ;(Confirmations.depositLeafIndex(DEPOSIT, receipt(10)) === null).should.be.equal(true)
+    ;(Confirmations.depositLeafIndex({ kind: 'withdraw' }, receipt(10, [depositLog(7)])) === null).should.be.equal(true)
+  })
+})
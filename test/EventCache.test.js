@@ -0,0 +1,61 @@
+require('chai').should()
+
+const EventCache = require('../lib/EventCache')
+const EventFetcher = require('../lib/EventFetcher')
+const { useTmpDir } = require('./helpers/tmpdir')
+
+describe('EventCache', () => {
+  const tmp = useTmpDir('events-')
+  let chain
+  let queries
+  const contract = {
+    _address: '0x00000000000000000000000000000000000000C1',
+    deployedBlock: 1,
+    getPastEvents: (eventName, { fromBlock, toBlock }) => {
+      queries.push([fromBlock, toBlock])
+      return Promise.resolve(chain.filter(e => e.blockNumber >= fromBlock && e.blockNumber <= toBlock))
+    }
+  }
+  const deposit = (leafIndex, blockNumber, commitment) => ({
+    blockNumber,
+    transactionHash: `0x${commitment}${blockNumber}`,
+    logIndex: 0,
+    returnValues: { 0: commitment, 1: leafIndex, commitment, leafIndex }
+  })
+  const open = () => new EventCache(tmp.dir, 8, contract, 'Deposit', new EventFetcher({ blockRange: 100, retries: 0 }))
+  const commitments = events => events.map(e => e.returnValues.commitment)
+
+  beforeEach(() => {
+    chain = [deposit(0, 2, 'a'), deposit(1, 5, 'b'), deposit(2, 9, 'c')]
+    queries = []
+  })
+
+  it('should cache only confirmed blocks', async () => {
+    commitments(await open().sync(10, 3)).should.be.deep.equal(['a', 'b', 'c'])
+
+    const cache = open()
+    cache.lastBlock.should.be.equal(7)
+    commitments(cache.events).should.be.deep.equal(['a', 'b'])
+    cache.events[0].returnValues.should.be.deep.equal({ commitment: 'a', leafIndex: 0 })
+
+    queries = []
+    await cache.sync(10, 3)
+    queries.should.be.deep.equal([[8, 10]])
+  })
+
+  it('should not keep events of reorged blocks', async () => {
+    await open().sync(10, 3)
+    chain = [deposit(0, 2, 'a'), deposit(1, 5, 'b'), deposit(2, 10, 'd')]
+    commitments(await open().sync(11, 3)).should.be.deep.equal(['a', 'b', 'd'])
+  })
+
+  it('should fetch rewound blocks again', async () => {
+    await open().sync(10, 0)
+    chain = [deposit(0, 2, 'a'), deposit(1, 6, 'e'), deposit(2, 9, 'c')]
+    const cache = open()
+    cache.rewind(5).should.be.equal(2)
+    cache.lastBlock.should.be.equal(4)
+    commitments(await cache.sync(10, 0)).should.be.deep.equal(['a', 'e', 'c'])
+    commitments(open().events).should.be.deep.equal(['a', 'e', 'c'])
+  })
+})
@@ -0,0 +1,52 @@
+require('chai').should()
+
+const EventFetcher = require('../lib/EventFetcher')
+
+describe('EventFetcher', () => {
+  /** Contract whose getPastEvents fails with the errors of `fail`, or returns one event per block */
+  const fakeContract = (queries, fail) => ({
+    getPastEvents: (eventName, { fromBlock, toBlock }) => {
+      queries.push([fromBlock, toBlock])
+      const error = fail(fromBlock, toBlock, queries.length)
+      if (error) {
+        return Promise.reject(new Error(error))
+      }
+      const events = []
+      for (let block = fromBlock; block <= toBlock; block++) {
+        events.push({ blockNumber: block })
+      }
+      return Promise.resolve(events)
+    }
+  })
+
+  it('should shrink the range in dense blocks and grow it back', async () => {
+    const queries = []
+    // blocks 10 to 19 are dense, a query there may span 2 blocks at most
+    const contract = fakeContract(queries, (from, to) =>
+      from <= 19 && to >= 10 && to - from + 1 > 2 ? 'query returned more than 10000 results' : null)
+    const chunks = []
+    const total = await new EventFetcher({ blockRange: 8 }).fetch(contract, 'Deposit', 0, 63, (events, lastBlock) => chunks.push(lastBlock))
+    total.should.be.equal(64)
+    chunks[chunks.length - 1].should.be.equal(63)
+    queries.some(([from, to]) => from >= 10 && to <= 19 && to - from + 1 === 2).should.be.equal(true)
+    const ranges = queries.filter(([from]) => from >= 24).map(([from, to]) => to - from + 1)
+    ranges[ranges.length - 1].should.be.equal(8)
+  })
+
+  it('should retry transient errors only', async () => {
+    const queries = []
+    const flaky = fakeContract(queries, (from, to, call) => call === 1 ? 'CONNECTION TIMEOUT: timeout of 5000ms achieved' : null)
+    await new EventFetcher({ retryDelay: 0 }).fetch(flaky, 'Deposit', 0, 9, () => {})
+    queries.length.should.be.equal(2)
+
+    const broken = fakeContract([], () => 'Returned values aren\'t valid, did it run Out of Gas?')
+    const fetcher = new EventFetcher({ retryDelay: 0 })
+    let error
+    await fetcher.fetch(broken, 'Deposit', 0, 9, () => {}).catch(e => { error = e })
+    error.message.should.include('Returned values aren\'t valid')
+
+    const calls = []
+    await fetcher.fetch(fakeContract(calls, () => 'invalid address'), 'Deposit', 0, 9, () => {}).catch(() => {})
+    calls.length.should.be.equal(1)
+  })
+})
@@ -0,0 +1,32 @@
+require('chai').should()
+const fs = require('fs')
+const path = require('path')
+
+const { withLock } = require('../lib/FileLock')
+const { useTmpDir } = require('./helpers/tmpdir')
+
+describe('FileLock', () => {
+  const tmp = useTmpDir('lock-')
+  let file
+
+  beforeEach(() => {
+    file = path.join(tmp.dir, 'store.json')
+  })
+
+  it('should hold the lock while the function runs', () => {
+    withLock(file, () => {
+      fs.existsSync(file + '.lock').should.be.equal(true)
+      return 42
+    }).should.be.equal(42)
+    fs.existsSync(file + '.lock').should.be.equal(false)
+    ;(() => withLock(file, () => { throw new Error('failed') })).should.throw('failed')
+    fs.existsSync(file + '.lock').should.be.equal(false)
+  })
+
+  it('should take over a stale lock', () => {
+    fs.writeFileSync(file + '.lock', '')
+    const old = new Date(Date.now() - 60 * 1000)
+    fs.utimesSync(file + '.lock', old, old)
+    withLock(file, () => 'locked').should.be.equal('locked')
+  })
+})
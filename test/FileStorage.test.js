@@ -0,0 +1,64 @@
+require('chai').should()
+const fs = require('fs')
+const path = require('path')
+
+const MerkleTree = require('../lib/MerkleTree')
+const FileStorage = require('../lib/FileStorage')
+const { useTmpDir } = require('./helpers/tmpdir')
+
+describe('FileStorage', () => {
+  const levels = 5
+  const prefix = 'test'
+  const tmp = useTmpDir('tree-')
+  let file
+
+  beforeEach(() => {
+    file = path.join(tmp.dir, 'tree.jsonl')
+  })
+
+  it('should keep the tree between runs', async () => {
+    const elements = [12, 13, 14, 15, 16]
+    const tree = new MerkleTree(levels, elements, prefix, new FileStorage(file))
+    const root = await tree.root()
+
+    const reopened = new MerkleTree(levels, null, prefix, new FileStorage(file))
+    await reopened.ready
+    reopened.totalElements.should.be.equal(elements.length)
+    const reopenedRoot = await reopened.root()
+    reopenedRoot.should.be.equal(root)
+  })
+
+  it('should only insert new leaves', async () => {
+    const memoryTree = new MerkleTree(levels, [12, 13, 14, 15, 16, 17, 18], prefix)
+
+    const tree = new MerkleTree(levels, [12, 13, 14], prefix, new FileStorage(file))
+    await tree.ready
+    const reopened = new MerkleTree(levels, null, prefix, new FileStorage(file))
+    for (const el of [15, 16, 17, 18]) {
+      await reopened.insert(el)
+    }
+
+    const again = new MerkleTree(levels, null, prefix, new FileStorage(file))
+    const treePath = await again.path(6)
+    const memoryPath = await memoryTree.path(6)
+    treePath.should.be.deep.equal(memoryPath)
+    const index = await again.getIndexByElement(17)
+    index.should.be.equal(5)
+  })
+
+  it('should ignore a partially written batch', async () => {
+    const tree = new MerkleTree(levels, [12, 13], prefix, new FileStorage(file))
+    const root = await tree.root()
+    fs.appendFileSync(file, '[["test_tree_0_2",1')
+
+    const reopened = new MerkleTree(levels, null, prefix, new FileStorage(file))
+    const reopenedRoot = await reopened.root()
+    reopenedRoot.should.be.equal(root)
+    reopened.totalElements.should.be.equal(2)
+
+    await reopened.insert(14)
+    const again = new MerkleTree(levels, null, prefix, new FileStorage(file))
+    await again.ready
+    again.totalElements.should.be.equal(3)
+  })
+})
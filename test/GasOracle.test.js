@@ -0,0 +1,55 @@
+require('chai').should()
+const web3Utils = require('web3-utils')
+
+const GasOracle = require('../lib/GasOracle')
+
+const gwei = n => web3Utils.toWei(String(n), 'gwei')
+
+/** web3 stand-in serving blocks with transactions at the given gwei prices, newest last */
+function fakeWeb3(blockPrices, nodePrice = gwei(1)) {
+  return {
+    utils: web3Utils,
+    eth: {
+      getBlockNumber: () => Promise.resolve(blockPrices.length - 1),
+      getBlock: n => Promise.resolve({ transactions: blockPrices[n].map(price => ({ gasPrice: gwei(price) })) }),
+      getGasPrice: () => Promise.resolve(nodePrice)
+    }
+  }
+}
+
+describe('GasOracle', () => {
+  it('should take percentiles of the cheapest transaction per block', async () => {
+    const blocks = [[50, 10], [20], [30, 40], [], [60], [5, 70], [80], [90, 100], [15], [25]]
+    const oracle = new GasOracle(fakeWeb3(blocks))
+    const prices = await oracle.gasPrices()
+    // minimums are 5, 10, 15, 20, 25, 30, 60, 80, 90
+    prices.slow.toString().should.be.equal(gwei(15))
+    prices.standard.toString().should.be.equal(gwei(30))
+    prices.fast.toString().should.be.equal(gwei(90))
+  })
+
+  it('should only sample the most recent blocks', async () => {
+    const oracle = new GasOracle(fakeWeb3([[1], [1], [100], [100]]), { blocks: 2 })
+    const prices = await oracle.gasPrices()
+    prices.slow.toString().should.be.equal(gwei(100))
+  })
+
+  it('should fall back to the node gas price without recent transactions', async () => {
+    const oracle = new GasOracle(fakeWeb3([[], []], gwei(7)))
+    const price = await oracle.gasPrice('fast')
+    price.toString().should.be.equal(gwei(7))
+  })
+
+  it('should accept a fixed price in gwei', async () => {
+    const oracle = new GasOracle(fakeWeb3([]))
+    const price = await oracle.gasPrice('2.5')
+    price.toString().should.be.equal(gwei(2.5))
+    let error
+    try {
+      await oracle.gasPrice('fastest')
+    } catch (e) {
+      error = e
+    }
+    error.message.should.include('Unknown gas price')
+  })
+})
@@ -0,0 +1,48 @@
+require('chai').should()
+const fs = require('fs')
+const path = require('path')
+
+const JsonStore = require('../lib/JsonStore')
+const { useTmpDir } = require('./helpers/tmpdir')
+
+class Counter extends JsonStore {
+  constructor(file) {
+    super(file, { indent: 2 })
+    this.count = 0
+    this.load()
+  }
+
+  fromJSON(data) {
+    this.count = data.count
+  }
+
+  toJSON() {
+    return { count: this.count }
+  }
+}
+
+describe('JsonStore', () => {
+  const tmp = useTmpDir('store-')
+  let file
+
+  beforeEach(() => {
+    file = path.join(tmp.dir, 'counter.json')
+  })
+
+  it('should apply changes to the latest content of the file', () => {
+    const first = new Counter(file)
+    const second = new Counter(file)
+    first.change(() => first.count++)
+    second.change(() => second.count++).should.be.equal(1)
+    new Counter(file).count.should.be.equal(2)
+    fs.readFileSync(file, 'utf8').should.be.equal('{\n  "count": 2\n}')
+  })
+
+  it('should leave the file as it was when a change fails', () => {
+    const counter = new Counter(file)
+    counter.change(() => counter.count++)
+    ;(() => counter.change(() => { throw new Error('failed') })).should.throw('failed')
+    fs.readdirSync(tmp.dir).should.be.deep.equal(['counter.json'])
+    new Counter(file).count.should.be.equal(1)
+  })
+})
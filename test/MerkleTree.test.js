@@ -0,0 +1,53 @@
+require('chai').should()
+
+const MerkleTree = require('../lib/MerkleTree')
+const JsStorage = require('../lib/Storage')
+
+/** In-memory storage whose writes or reads fail while `failing` is set */
+class FlakyStorage extends JsStorage {
+  constructor() {
+    super()
+    this.failing = null
+  }
+
+  get_or_element(key, defaultElement) {
+    return this.failing === 'read' ? Promise.reject(new Error('disk read failed')) : super.get_or_element(key, defaultElement)
+  }
+
+  put_batch(keyValues) {
+    return this.failing === 'write' ? Promise.reject(new Error('disk full')) : super.put_batch(keyValues)
+  }
+}
+
+describe('MerkleTree', () => {
+  const levels = 4
+  const failure = async promise => {
+    let error
+    await promise.catch(e => { error = e })
+    return error.message
+  }
+
+  it('should fail an insert the storage could not write, without counting it', async () => {
+    const storage = new FlakyStorage()
+    const tree = new MerkleTree(levels, null, 'test', storage)
+    await tree.insert(12)
+    storage.failing = 'write'
+    ;(await failure(tree.insert(13))).should.be.equal('disk full')
+    tree.totalElements.should.be.equal(1)
+
+    storage.failing = null
+    await tree.insert(13)
+    tree.totalElements.should.be.equal(2)
+    ;(await tree.root()).should.be.equal(await new MerkleTree(levels, [12, 13], 'test').root())
+  })
+
+  it('should fail every call when the tree could not be loaded', async () => {
+    const storage = new FlakyStorage()
+    storage.failing = 'read'
+    const tree = new MerkleTree(levels, null, 'test', storage)
+    // let the load fail before anything waits for it
+    await new Promise(resolve => setImmediate(resolve))
+    ;(await failure(tree.root())).should.be.equal('disk read failed')
+    ;(await failure(tree.insert(12))).should.be.equal('disk read failed')
+  })
+})
@@ -114,19 +114,19 @@ contract('MerkleTreeWithHistory', accounts => {
       for(const [, el] of Object.entries(elements)) {
         await tree.insert(el)
       }
-      let index = tree.getIndexByElement(13)
+      let index = await tree.getIndexByElement(13)
       index.should.be.equal(1)
 
-      index = tree.getIndexByElement(19)
+      index = await tree.getIndexByElement(19)
       index.should.be.equal(7)
 
-      index = tree.getIndexByElement(12)
+      index = await tree.getIndexByElement(12)
       index.should.be.equal(0)
 
-      index = tree.getIndexByElement(20)
+      index = await tree.getIndexByElement(20)
       index.should.be.equal(8)
 
-      index = tree.getIndexByElement(42)
+      index = await tree.getIndexByElement(42)
       index.should.be.equal(false)
     })
 
@@ -0,0 +1,76 @@
+require('chai').should()
+const { bigInt } = require('snarkjs')
+
+const { createDeposit, formatNote, parseNote } = require('../lib/Note')
+
+// nullifier 1 and secret 2, each 31 bytes little endian
+const PREIMAGE = '0x01' + '00'.repeat(30) + '02' + '00'.repeat(30)
+const NOTE = `tornado-ubq-10-8-${PREIMAGE}`
+const COMMITMENT = '25a6bdfb2826d2cebc3db87f0af822d09845a98a4ea3cf15b69ae6eaf0f495cc'
+const NULLIFIER_HASH = '2194888111860ab912b5a6d814efd264d067023f70916f3c2a5b083d8b7cae48'
+
+describe('Note', () => {
+  describe('#createDeposit', () => {
+    it('should hash the nullifier and the preimage', () => {
+      const deposit = createDeposit(bigInt(1), bigInt(2))
+      deposit.preimage.toString('hex').should.be.equal(PREIMAGE.slice(2))
+      deposit.commitment.toString(16).should.be.equal(COMMITMENT)
+      deposit.nullifierHash.toString(16).should.be.equal(NULLIFIER_HASH)
+    })
+  })
+
+  describe('#formatNote', () => {
+    it('should prefix the preimage with currency, amount and network', () => {
+      formatNote(createDeposit(bigInt(1), bigInt(2)), '10', 8).should.be.equal(NOTE)
+    })
+
+    it('should round trip through parseNote', () => {
+      const deposit = createDeposit(bigInt('123456789'), bigInt('987654321'))
+      const note = parseNote(formatNote(deposit, '0.5', 88))
+      note.amount.should.be.equal('0.5')
+      note.netId.should.be.equal(88)
+      note.deposit.nullifier.toString().should.be.equal('123456789')
+      note.deposit.secret.toString().should.be.equal('987654321')
+      note.deposit.commitment.toString().should.be.equal(deposit.commitment.toString())
+    })
+  })
+
+  describe('#parseNote', () => {
+    it('should parse a note', () => {
+      const note = parseNote(NOTE)
+      note.should.include({ currency: 'ubq', amount: '10', netId: 8 })
+      note.deposit.nullifier.toString().should.be.equal('1')
+      note.deposit.secret.toString().should.be.equal('2')
+      note.deposit.commitment.toString(16).should.be.equal(COMMITMENT)
+    })
+
+    it('should parse a legacy note without amount and network', () => {
+      const note = parseNote(PREIMAGE)
+      note.should.include({ currency: 'ubq', amount: null, netId: null })
+      note.deposit.commitment.toString(16).should.be.equal(COMMITMENT)
+    })
+
+    it('should accept the currency in any case', () => {
+      parseNote(NOTE.replace('ubq', 'UBQ')).netId.should.be.equal(8)
+    })
+
+    it('should reject another currency', () => {
+      (() => parseNote(NOTE.replace('ubq', 'eth'))).should.throw('Unsupported note currency: eth')
+    })
+
+    it('should reject malformed notes', () => {
+      const malformed = [
+        '',
+        PREIMAGE.slice(2),
+        PREIMAGE.slice(0, -2),
+        PREIMAGE + '00',
+        PREIMAGE.slice(0, -1) + 'g',
+        `tornado-ubq-10-${PREIMAGE}`,
+        `tornado-ubq-ten-8-${PREIMAGE}`,
+        `tornado-ubq-10-8-${PREIMAGE} `,
+        `${NOTE}\n${NOTE}`
+      ]
+      malformed.forEach(note => (() => parseNote(note)).should.throw('The note has invalid format'))
+    })
+  })
+})
@@ -0,0 +1,38 @@
+require('chai').should()
+
+const NoteSeed = require('../lib/NoteSeed')
+
+// BIP39 test vector, its seed is 5eb00bbd...9e38e4 with an empty passphrase
+const MNEMONIC = 'abandon abandon abandon abandon abandon abandon abandon abandon abandon abandon abandon about'
+
+describe('NoteSeed', () => {
+  const seed = new NoteSeed(MNEMONIC)
+
+  it('should derive fixed notes from a mnemonic', () => {
+    // a change here makes notes deposited with a mnemonic unrecoverable
+    seed.seed.toString('hex').should.be.equal('5eb00bbddcf069084889a8ab9155568165f5c453ccb85e70811aaed6f6da5fc1' +
+      '9a5ac40b389cd370d086206dec8aa6c43daea6690f20ad3d8d48b2d2ce9e38e4')
+    const vectors = [
+      [88, '8', 0, '6b5765d8896cc8a25a8d4d2af73045c28dae28c77c6eb6e15755f5e6d5a217', 'bd13b165d2873aa235bdedf56292a9698e2ee97986b6c7f40962a417690270'],
+      [88, '8', 1, 'da3b4f5e5859e7234cb1f90b5a57e6641c53e368d7a7fa6e2ad430d6f24ab1', '0cd4510dd7960332febbc4f23079f85c9c23d447db45a4bba0cac20ff4624b'],
+      [88, '88', 0, '74a7a6dcd2043dab456825aaa5651e07b98f75c1b1ac52fdd1634883cb69cb', 'dc1e8398e3157faa871bf265834561910ed89b2198112ee32df41d271160fd'],
+      [8, '8', 0, 'b925a2d197f082d1bb15219b1705626c578df8c5c395ce729a8cf7c503f874', '0b291290244f02fb05c61caa9770581e5ea5b87a1a67266849c0fea9925b0b']
+    ]
+    for (const [netId, amount, index, nullifier, secret] of vectors) {
+      const note = seed.derive(netId, amount, index)
+      note.nullifier.toString('hex').should.be.equal(nullifier)
+      note.secret.toString('hex').should.be.equal(secret)
+    }
+  })
+
+  it('should normalize the mnemonic and reject invalid ones', () => {
+    new NoteSeed(`  ${MNEMONIC.split(' ').join('\n ')}  `).seed.equals(seed.seed).should.be.equal(true)
+    ;(() => new NoteSeed(MNEMONIC.replace('about', 'abandon'))).should.throw('Invalid mnemonic')
+    NoteSeed.path(88, '0.5', 7).should.be.equal('tornado/88/0.5/7')
+  })
+
+  it('should fingerprint the seed', () => {
+    seed.fingerprint.should.be.equal('62a772f85e4be622')
+    new NoteSeed(NoteSeed.generateMnemonic()).fingerprint.should.not.be.equal(seed.fingerprint)
+  })
+})
@@ -0,0 +1,68 @@
+require('chai').should()
+const fs = require('fs')
+const path = require('path')
+
+const NoteVault = require('../lib/NoteVault')
+const { useTmpDir } = require('./helpers/tmpdir')
+
+describe('NoteVault', () => {
+  const tmp = useTmpDir('vault-')
+  let file
+
+  beforeEach(() => {
+    file = path.join(tmp.dir, 'vault.json')
+  })
+
+  it('should store notes encrypted', () => {
+    const vault = new NoteVault(file)
+    vault.open('password')
+    const entry = vault.add({ note: 'tornado-ubq-8-88-0x1234', pool: 1 })
+    entry.id.should.be.equal(1)
+
+    fs.readFileSync(file, 'utf8').should.not.include('tornado-ubq')
+
+    const reopened = new NoteVault(file)
+    reopened.open('password')
+    reopened.get(1).note.should.be.equal('tornado-ubq-8-88-0x1234')
+  })
+
+  it('should reject a wrong password', () => {
+    const vault = new NoteVault(file)
+    vault.open('password')
+    vault.add({ note: 'note' })
+
+    const reopened = new NoteVault(file)
+    ;(() => reopened.open('wrong')).should.throw('Wrong vault password')
+  })
+
+  it('should label and remove notes', () => {
+    const vault = new NoteVault(file)
+    vault.open('password')
+    vault.add({ note: 'first' })
+    vault.add({ note: 'second' })
+    vault.update(2, { label: 'savings' })
+    vault.remove(1)
+
+    const reopened = new NoteVault(file)
+    reopened.open('password')
+    reopened.notes.length.should.be.equal(1)
+    reopened.get(2).label.should.be.equal('savings')
+    ;(() => reopened.get(1)).should.throw('There is no note 1 in the vault')
+    reopened.add({ note: 'third' }).id.should.be.equal(3)
+  })
+
+  it('should keep notes stored by another instance', () => {
+    const daemon = new NoteVault(file)
+    daemon.open('password')
+    daemon.add({ note: 'first' })
+    const other = new NoteVault(file)
+    other.open('password')
+    other.add({ note: 'second' })
+
+    daemon.update(1, { spent: true })
+    const reopened = new NoteVault(file)
+    reopened.open('password')
+    reopened.notes.map(n => n.note).should.be.deep.equal(['first', 'second'])
+    reopened.get(1).spent.should.be.equal(true)
+  })
+})
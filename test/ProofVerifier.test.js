@@ -0,0 +1,82 @@
+require('chai').should()
+const snarkjs = require('snarkjs')
+const BN128 = require('snarkjs/src/bn128')
+const { stringifyBigInts } = require('snarkjs/src/stringifybigint')
+const websnarkUtils = require('websnark/src/utils')
+
+const ProofVerifier = require('../lib/ProofVerifier')
+
+const bigInt = snarkjs.bigInt
+const bn128 = new BN128()
+const { G1, G2 } = bn128
+
+const g1 = k => G1.affine(G1.mulScalar(G1.g, bigInt(k)))
+const g2 = k => G2.affine(G2.mulScalar(G2.g, bigInt(k)))
+
+/**
+ * A verification key with one public input whose toxic waste is known, and a proof for `signal`
+ * forged with it: e(alfa, beta) = e(alfa, beta) * e(IC0 + signal * IC1, g2) * e(-(IC0 + signal * IC1), g2)
+ */
+function forge(signal) {
+  const alfa = g1(7)
+  const beta = g2(11)
+  const IC = [g1(3), g1(5)]
+  const verificationKey = stringifyBigInts({
+    protocol: 'groth',
+    nPublic: 1,
+    IC,
+    vk_alfa_1: alfa,
+    vk_beta_2: beta,
+    vk_gamma_2: g2(1),
+    vk_delta_2: g2(1),
+    vk_alfabeta_12: bn128.F12.affine(bn128.pairing(alfa, beta))
+  })
+  const proofData = {
+    pi_a: alfa,
+    pi_b: beta,
+    pi_c: G1.affine(G1.neg(g1(bigInt(3).add(bigInt(5).mul(bigInt(signal))))))
+  }
+  return { verificationKey, proofData }
+}
+
+describe('ProofVerifier', function () {
+  this.timeout(60000)
+
+  const { verificationKey, proofData } = forge(42)
+  const verifier = new ProofVerifier(verificationKey)
+
+  it('should recover the proof points from websnark toSolidityInput', () => {
+    const points = {
+      pi_a: g1(2),
+      pi_b: g2(3),
+      pi_c: g1(4)
+    }
+    const { proof } = websnarkUtils.toSolidityInput(points)
+    const recovered = ProofVerifier.fromSolidityProof(proof)
+    stringifyBigInts(recovered).should.deep.equal(stringifyBigInts(points))
+  })
+
+  it('should accept a valid proof', () => {
+    verifier.verify(proofData, [42]).should.be.equal(true)
+  })
+
+  it('should accept a valid proof in the contract encoding', () => {
+    const { proof } = websnarkUtils.toSolidityInput(proofData)
+    verifier.verifySolidity(proof, ['0x' + (42).toString(16)]).should.be.equal(true)
+  })
+
+  it('should reject a proof for other public inputs', () => {
+    const { proof } = websnarkUtils.toSolidityInput(proofData)
+    verifier.verifySolidity(proof, [43]).should.be.equal(false)
+  })
+
+  it('should reject a wrong number of public inputs', () => {
+    verifier.verify(proofData, [42, 0]).should.be.equal(false)
+  })
+
+  it('should reject a malformed proof', () => {
+    const { proof } = websnarkUtils.toSolidityInput(proofData)
+    ;(() => ProofVerifier.fromSolidityProof(proof.slice(0, -2))).should.throw('The proof has invalid format')
+    ;(() => ProofVerifier.fromSolidityProof(proof.slice(2))).should.throw('The proof has invalid format')
+  })
+})
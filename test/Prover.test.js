@@ -0,0 +1,93 @@
+require('chai').should()
+const path = require('path')
+
+const Prover = require('../lib/Prover')
+
+describe('Prover', () => {
+  const workerFile = path.join(__dirname, 'helpers', 'proverWorker.js')
+  let prover, stages
+
+  const newProver = options => {
+    stages = []
+    prover = new Prover(Object.assign({
+      type: 'websnark',
+      circuit: {},
+      provingKey: 'websnark key',
+      onProgress: stage => stages.push(stage),
+      workerFile
+    }, options))
+    return prover
+  }
+  const failure = async input => {
+    let error
+    await prover.prove(input).catch(e => { error = e })
+    return error
+  }
+
+  afterEach(() => {
+    prover.terminate()
+  })
+
+  it('should prove in one worker and report the stages', async () => {
+    newProver()
+    const first = await prover.prove({ websnark: 'prove' })
+    const second = await prover.prove({ websnark: 'prove' })
+    first.should.include({ type: 'websnark', provingKey: 'websnark key' })
+    second.threadId.should.be.equal(first.threadId)
+    stages.should.be.deep.equal(['witness', 'proving', 'witness', 'proving'])
+  })
+
+  it('should fall back to snarkjs when the websnark worker crashes or throws', async () => {
+    for (const websnark of ['crash', 'throw']) {
+      newProver({ fallback: () => 'snarkjs key' })
+      const proof = await prover.prove({ websnark, snarkjs: 'prove' })
+      proof.should.include({ type: 'snarkjs', provingKey: 'snarkjs key' })
+      stages.should.include('fallback')
+      prover.terminate()
+    }
+  })
+
+  it('should not fall back for a failed proof, or without a fallback', async () => {
+    newProver({ fallback: () => 'snarkjs key' })
+    ;(await failure({ websnark: 'fail', snarkjs: 'prove' })).message.should.be.equal('Constraint doesn\'t match')
+    stages.should.not.include('fallback')
+
+    newProver()
+    ;(await failure({ websnark: 'crash' })).message.should.be.equal('The prover worker stopped with exit code 3')
+
+    newProver({ fallback: () => { throw new Error('no JSON proving key') } })
+    ;(await failure({ websnark: 'crash' })).message.should.be.equal(
+      'The prover worker stopped with exit code 3, and the snarkjs prover is unavailable too: no JSON proving key')
+  })
+
+  it('should time out and restart the worker for the next proof', async () => {
+    newProver({ timeout: 0.2 })
+    const { threadId } = await prover.prove({ websnark: 'prove' })
+    ;(await failure({ websnark: 'hang' })).message.should.be.equal('Proof generation timed out after 0.2s')
+    ;(await prover.prove({ websnark: 'prove' })).threadId.should.not.be.equal(threadId)
+  })
+
+  it('should cancel the proof on Ctrl-C', async () => {
+    const listeners = process.listenerCount('SIGINT')
+    // Ctrl-C once the first proof has started
+    let interrupted = false
+    newProver({
+      onProgress: () => {
+        if (!interrupted) {
+          interrupted = true
+          process.emit('SIGINT')
+        }
+      }
+    })
+    ;(await failure({ websnark: 'hang' })).message.should.be.equal('Proof generation cancelled')
+    process.listenerCount('SIGINT').should.be.equal(listeners)
+    ;(await prover.prove({ websnark: 'prove' })).type.should.be.equal('websnark')
+  })
+
+  it('should refuse a second proof while one is running', async () => {
+    newProver({ timeout: 0.2 })
+    const running = prover.prove({ websnark: 'hang' }).catch(e => e)
+    ;(await failure({ websnark: 'prove' })).message.should.be.equal('A proof is already being generated')
+    ;(await running).message.should.be.equal('Proof generation timed out after 0.2s')
+  })
+})
@@ -0,0 +1,56 @@
+require('chai').should()
+const Web3 = require('web3')
+
+const RawTransaction = require('../lib/RawTransaction')
+
+const web3 = new Web3()
+
+// the example transaction of EIP-155, with its signing data, signing hash and signed transaction
+const TX = {
+  from: '0x9d8A62f656a8d1615C1294fd71e9CFb3E4855A4F',
+  to: '0x3535353535353535353535353535353535353535',
+  data: '0x',
+  value: '0xde0b6b3a7640000',
+  nonce: 9,
+  gas: '0x5208',
+  gasPrice: '0x4a817c800',
+  chainId: 1
+}
+const SIGNING_DATA = '0xec098504a817c800825208943535353535353535353535353535353535353535880de0b6b3a764000080018080'
+const SIGNING_HASH = '0xdaf5a779ae972f972197303d7b574746c7ef83eadac0f2791ad23db92e4c8e53'
+const SIGNED = '0xf86c098504a817c800825208943535353535353535353535353535353535353535880de0b6b3a7640000' +
+  '8025a028ef61340bd939bc2195fe537567866003e1a15d3c71ff63e1590620aa636276' +
+  'a067cbe9d8997f761aecb703304b3800ccf555c9f3dc64214b297fb1966a3b6d83'
+const KEY = '0x4646464646464646464646464646464646464646464646464646464646464646'
+
+describe('RawTransaction', () => {
+  it('should encode the EIP-155 signing payload', () => {
+    RawTransaction.signingPayload(TX).should.be.equal(SIGNING_DATA)
+    RawTransaction.formatUnsigned(TX, 'rlp').should.be.equal(SIGNING_DATA)
+    RawTransaction.signingHash(TX).should.be.equal(SIGNING_HASH)
+  })
+
+  it('should output the transaction as JSON', () => {
+    JSON.parse(RawTransaction.formatUnsigned(TX, 'json')).should.be.deep.equal(TX)
+    ;(() => RawTransaction.formatUnsigned(TX, 'qr')).should.throw('Unknown transaction format qr')
+  })
+
+  it('should sign the payload to the broadcast transaction', async () => {
+    const { messageHash, rawTransaction } = await web3.eth.accounts.signTransaction(Object.assign({}, TX), KEY)
+    messageHash.should.be.equal(SIGNING_HASH)
+    rawTransaction.should.be.equal(SIGNED)
+  })
+
+  it('should decode a signed transaction', () => {
+    const { tx, hash } = RawTransaction.decodeSigned(web3, SIGNED)
+    tx.should.be.deep.equal(TX)
+    hash.should.be.equal(web3.utils.keccak256(SIGNED))
+    RawTransaction.signingHash(tx).should.be.equal(SIGNING_HASH)
+  })
+
+  it('should reject a malformed signed transaction', () => {
+    (() => RawTransaction.decodeSigned(web3, '0x' + SIGNED.slice(4))).should.throw('The signed transaction is not valid RLP')
+    ;(() => RawTransaction.decodeSigned(web3, '0xc101')).should.throw('The signed transaction must have 9 fields')
+    ;(() => RawTransaction.decodeSigned(web3, SIGNING_DATA)).should.throw('The transaction is not signed')
+  })
+})
@@ -0,0 +1,30 @@
+require('chai').should()
+const { toBN, toWei } = require('web3-utils')
+
+const RelayerFee = require('../lib/RelayerFee')
+
+describe('RelayerFee', () => {
+  const relayerAddress = '0x0000000000000000000000000000000000000001'
+
+  it('should add the service percentage to the gas cost', () => {
+    const fee = new RelayerFee({ relayerAddress, gasPrices: { fast: 80 }, relayerServiceFee: 0.25, gasLimit: 500000 })
+    const { gas, service, total, net } = fee.calculate(toBN(toWei('8')))
+    gas.toString().should.be.equal(toWei('0.04'))
+    service.toString().should.be.equal(toWei('0.02'))
+    total.toString().should.be.equal(toWei('0.06'))
+    net.toString().should.be.equal(toWei('7.94'))
+  })
+
+  it('should parse percentages exactly', () => {
+    const { numerator, denominator } = RelayerFee.parsePercent('0.1')
+    numerator.toString().should.be.equal('1')
+    denominator.toString().should.be.equal('1000')
+    ;(() => RelayerFee.parsePercent('-1')).should.throw('Invalid relayer service fee -1')
+  })
+
+  it('should refuse a fee above the withdrawn amount', () => {
+    const fee = new RelayerFee({ relayerAddress, gasPrices: { fast: 1000 } })
+    ;(() => new RelayerFee({ gasPrices: { fast: 1 } })).should.throw('The relayer status has no relayer address')
+    ;(() => fee.calculate(toBN(toWei('1')))).should.throw('The relayer fee is more than the withdrawn amount')
+  })
+})
@@ -0,0 +1,53 @@
+require('chai').should()
+const { toBN, toWei } = require('web3-utils')
+
+const RelayerRegistry = require('../lib/RelayerRegistry')
+
+describe('RelayerRegistry', () => {
+  const contract = '0x00000000000000000000000000000000000000c1'
+  const target = { netId: 8, contract, amount: toBN(toWei('8')) }
+  const status = (fee, fields) => Object.assign({
+    relayerAddress: '0x0000000000000000000000000000000000000001',
+    netId: 8,
+    gasPrices: { fast: 1 },
+    relayerServiceFee: fee
+  }, fields)
+  const http = statuses => ({
+    get: url => {
+      const response = statuses[url.replace(/\/status$/, '')]
+      return response ? Promise.resolve({ data: response }) : Promise.reject(new Error('connect ECONNREFUSED'))
+    }
+  })
+
+  it('should rank healthy relayers by fee', async () => {
+    const registry = new RelayerRegistry(['http://a', 'http://b/', 'http://c'], http({
+      'http://a': status(0.5),
+      'http://b': status(0.1),
+      'http://c': status(0.3)
+    }))
+    const { healthy, unhealthy } = await registry.rank(target)
+    healthy.map(r => r.url).should.be.deep.equal(['http://b', 'http://c', 'http://a'])
+    healthy[0].breakdown.service.toString().should.be.equal(toWei('0.008'))
+    unhealthy.should.have.lengthOf(0)
+  })
+
+  it('should skip unreachable, other network and other contract relayers', async () => {
+    const registry = new RelayerRegistry(['http://down', 'http://net', 'http://contract', 'http://ok'], http({
+      'http://net': status(0.1, { netId: 1 }),
+      'http://contract': status(0.1, { instances: { ubq: { 8: '0x00000000000000000000000000000000000000c2' } } }),
+      'http://ok': status(0.1, { instances: { ubq: { 8: contract } } })
+    }))
+    const { healthy, unhealthy } = await registry.rank(target)
+    healthy.map(r => r.url).should.be.deep.equal(['http://ok'])
+    unhealthy.map(r => r.reason).should.be.deep.equal([
+      'unreachable: connect ECONNREFUSED',
+      'serves network 1',
+      `does not serve contract ${contract}`
+    ])
+  })
+
+  it('should read relayer lists', () => {
+    RelayerRegistry.parse(' http://a, http://b,').should.be.deep.equal(['http://a', 'http://b'])
+    new RelayerRegistry(['http://a/', 'http://a'], http({})).urls.should.be.deep.equal(['http://a'])
+  })
+})
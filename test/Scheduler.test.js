@@ -0,0 +1,65 @@
+require('chai').should()
+const path = require('path')
+
+const Scheduler = require('../lib/Scheduler')
+const { useTmpDir } = require('./helpers/tmpdir')
+
+const HOUR = 3600 * 1000
+
+describe('Scheduler', () => {
+  const tmp = useTmpDir('schedule-')
+  let file
+  const now = Date.parse('2020-06-01T00:00:00Z')
+  const recipients = ['0x0000000000000000000000000000000000000001', '0x0000000000000000000000000000000000000002']
+
+  beforeEach(() => {
+    file = path.join(tmp.dir, 'schedule.json')
+  })
+
+  it('should pick times within the delay range and spread the recipients', () => {
+    const scheduler = new Scheduler(file)
+    const added = scheduler.plan([1, 2, 3, 4], recipients, { minDelay: 2, maxDelay: 10, now })
+    added.length.should.be.equal(4)
+    added.map(w => w.vaultId).sort().should.be.deep.equal([1, 2, 3, 4])
+    added.filter(w => w.recipient === recipients[0]).length.should.be.equal(2)
+    for (const w of added) {
+      Date.parse(w.withdrawAt).should.be.within(now + 2 * HOUR, now + 10 * HOUR)
+    }
+    const times = added.map(w => Date.parse(w.withdrawAt))
+    times.should.be.deep.equal(times.slice().sort((a, b) => a - b))
+  })
+
+  it('should persist the schedule and return due withdrawals', () => {
+    const scheduler = new Scheduler(file)
+    scheduler.plan([5, 6], recipients, { minDelay: 1, maxDelay: 2, minDepositsAfter: 10, now })
+
+    const reopened = new Scheduler(file)
+    reopened.pending().length.should.be.equal(2)
+    reopened.due(now).length.should.be.equal(0)
+    const due = reopened.due(now + 2 * HOUR)
+    due.length.should.be.equal(2)
+    due[0].minDepositsAfter.should.be.equal(10)
+
+    reopened.update(due[0].id, { status: 'done' })
+    new Scheduler(file).pending().map(w => w.id).should.be.deep.equal([due[1].id])
+  })
+
+  it('should refuse notes that are already scheduled', () => {
+    const scheduler = new Scheduler(file)
+    scheduler.plan([1], recipients, { minDelay: 1, maxDelay: 2, now })
+    ;(() => scheduler.plan([2, 1], recipients, { minDelay: 1, maxDelay: 2, now })).should.throw('Note #1 is already scheduled')
+    ;(() => scheduler.plan([3], recipients, { minDelay: 5, maxDelay: 2, now })).should.throw('Invalid delay range')
+  })
+
+  it('should keep withdrawals scheduled by another instance', () => {
+    const daemon = new Scheduler(file)
+    daemon.plan([1], recipients, { minDelay: 0, maxDelay: 1, now })
+    new Scheduler(file).plan([2], recipients, { minDelay: 0, maxDelay: 1, now })
+
+    daemon.update(1, { status: 'done' })
+    const reopened = new Scheduler(file)
+    reopened.withdrawals.map(w => w.vaultId).should.be.deep.equal([1, 2])
+    reopened.get(1).status.should.be.equal('done')
+    ;(() => daemon.plan([2], recipients, { minDelay: 0, maxDelay: 1, now })).should.throw('Note #2 is already scheduled')
+  })
+})
@@ -0,0 +1,93 @@
+require('chai').should()
+const { bigInt } = require('snarkjs')
+
+const MerkleTree = require('../lib/MerkleTree')
+const TreeVerifier = require('../lib/TreeVerifier')
+
+const LEVELS = 4
+const ROOT_HISTORY_SIZE = 30
+
+const toHex = value => '0x' + bigInt(value).toString(16).padStart(64, '0')
+
+async function buildTree(leaves) {
+  const tree = new MerkleTree(LEVELS, leaves, 'test')
+  await tree.ready
+  return tree
+}
+
+/** Contract state after inserting the leaves one by one, as the tornado contract keeps it */
+async function fakeContract(leaves) {
+  const roots = new Array(ROOT_HISTORY_SIZE).fill(toHex(0))
+  for (let size = 0; size <= leaves.length; size++) {
+    roots[size % ROOT_HISTORY_SIZE] = toHex(await (await buildTree(leaves.slice(0, size))).root())
+  }
+  const tree = await buildTree(leaves)
+  const verifier = new TreeVerifier(null, tree, [])
+  const filledSubtrees = []
+  for (let level = 0; level < LEVELS; level++) {
+    const index = Math.floor((leaves.length - 1) / 2 ** level)
+    filledSubtrees.push(toHex(await verifier.node(level, index % 2 === 0 ? index : index - 1)))
+  }
+  const call = value => ({ call: () => Promise.resolve(value) })
+  return {
+    deployedBlock: 1,
+    methods: {
+      nextIndex: () => call(String(leaves.length)),
+      getLastRoot: () => call(roots[leaves.length % ROOT_HISTORY_SIZE]),
+      currentRootIndex: () => call(String(leaves.length % ROOT_HISTORY_SIZE)),
+      ROOT_HISTORY_SIZE: () => call(String(ROOT_HISTORY_SIZE)),
+      roots: i => call(roots[i]),
+      filledSubtrees: level => call(filledSubtrees[level])
+    }
+  }
+}
+
+const depositEvents = leaves => leaves.map((commitment, leafIndex) => ({
+  blockNumber: 100 + leafIndex,
+  transactionHash: `0x${leafIndex}`,
+  returnValues: { commitment, leafIndex }
+}))
+
+describe('TreeVerifier', () => {
+  const leaves = ['11', '22', '33', '44', '55', '66']
+  let contract
+
+  before(async () => {
+    contract = await fakeContract(leaves)
+  })
+
+  it('should accept a tree that matches the contract', async () => {
+    const report = await new TreeVerifier(contract, await buildTree(leaves), depositEvents(leaves)).verify()
+    report.valid.should.be.equal(true)
+    report.problems.should.be.deep.equal([])
+    report.localRoot.should.be.equal(report.lastRoot)
+  })
+
+  it('should find the first leaf whose root differs', async () => {
+    const local = leaves.slice()
+    local[3] = '45'
+    const report = await new TreeVerifier(contract, await buildTree(local), depositEvents(local)).verify()
+    report.valid.should.be.equal(false)
+    report.filledSubtreeMismatches.should.not.be.empty
+    report.divergence.leafIndex.should.be.equal(3)
+    report.problems[report.problems.length - 1].should.be.equal('The tree diverges at leaf 3: the Deposit event from block 103 ' +
+      '(tx 0x3) does not match the contract, refetch events from that block with --rewind 103')
+  })
+
+  it('should report missing and duplicate events', async () => {
+    const events = depositEvents(leaves.slice(0, 4))
+    events.push(Object.assign({}, events[2], { transactionHash: '0x2b', blockNumber: 104 }))
+    const report = await new TreeVerifier(contract, await buildTree(leaves.slice(0, 4)), events).verify()
+    report.valid.should.be.equal(false)
+    report.divergence.leafIndex.should.be.equal(4)
+    report.problems.should.include('The local tree has 4 leaves, the contract has 6')
+    report.problems.should.include('Missing leaf indices: 4-5')
+    report.problems.should.include('Leaf 2 has 2 events: 0x2 (block 102), 0x2b (block 104)')
+    report.problems.should.include('No events for leaves 4-5, expected between blocks 103 and latest')
+    report.problems.should.include('The tree diverges at leaf 4, which has no Deposit event')
+  })
+
+  it('should format index ranges', () => {
+    TreeVerifier.formatRanges([1, 2, 3, 7, 9, 10]).should.be.equal('1-3, 7, 9-10')
+  })
+})
@@ -0,0 +1,57 @@
+require('chai').should()
+const path = require('path')
+
+const TxJournal = require('../lib/TxJournal')
+const { useTmpDir } = require('./helpers/tmpdir')
+
+describe('TxJournal', () => {
+  const tmp = useTmpDir('journal-')
+  let file
+  const tx = { from: '0xAbC0000000000000000000000000000000000001', nonce: 7, gasPrice: '0x3b9aca00' }
+
+  beforeEach(() => {
+    file = path.join(tmp.dir, 'pending.json')
+  })
+
+  it('should keep pending transactions across restarts', () => {
+    const journal = new TxJournal(file)
+    const entry = journal.add({ kind: 'deposit', tx, hashes: ['0x01'], vaultId: 3 })
+    entry.id.should.be.equal(1)
+
+    const reopened = new TxJournal(file)
+    reopened.get(1).vaultId.should.be.equal(3)
+    reopened.add({ kind: 'withdraw', relay: 'http://relay', hashes: ['0x02'] }).id.should.be.equal(2)
+  })
+
+  it('should record replacements with the same nonce', () => {
+    const journal = new TxJournal(file)
+    journal.add({ kind: 'withdraw', tx: Object.assign({}, tx), hashes: ['0x01'] })
+    journal.replace(1, '0x02', { gasPrice: '0x4a817c80' })
+
+    const entry = new TxJournal(file).get(1)
+    entry.hashes.should.be.deep.equal(['0x01', '0x02'])
+    entry.tx.nonce.should.be.equal(7)
+    entry.tx.gasPrice.should.be.equal('0x4a817c80')
+  })
+
+  it('should list transactions by sender', () => {
+    const journal = new TxJournal(file)
+    journal.add({ kind: 'deposit', tx, hashes: ['0x01'] })
+    journal.add({ kind: 'withdraw', relay: 'http://relay', hashes: ['0x02'] })
+    journal.list().length.should.be.equal(2)
+    journal.list(tx.from.toLowerCase()).map(t => t.id).should.be.deep.equal([1])
+
+    journal.remove(1)
+    new TxJournal(file).list(tx.from).length.should.be.equal(0)
+    ;(() => journal.get(1)).should.throw('There is no pending transaction 1')
+  })
+
+  it('should keep transactions journaled by another instance', () => {
+    const daemon = new TxJournal(file)
+    daemon.add({ kind: 'withdraw', relay: 'http://relay', hashes: ['0x01'] })
+    new TxJournal(file).add({ kind: 'deposit', tx, hashes: ['0x02'] })
+
+    daemon.remove(1)
+    new TxJournal(file).list().map(t => t.id).should.be.deep.equal([2])
+  })
+})
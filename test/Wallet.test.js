@@ -0,0 +1,74 @@
+require('chai').should()
+const Web3 = require('web3')
+
+const Wallet = require('../lib/Wallet')
+
+const web3 = new Web3()
+
+// the example transaction of EIP-155
+const EIP155_KEY = '0x4646464646464646464646464646464646464646464646464646464646464646'
+const EIP155_TX = {
+  nonce: 9,
+  gasPrice: '20000000000',
+  gas: 21000,
+  to: '0x3535353535353535353535353535353535353535',
+  value: '1000000000000000000',
+  data: '0x',
+  chainId: 1
+}
+const EIP155_RAW = '0xf86c098504a817c800825208943535353535353535353535353535353535353535880de0b6b3a7640000' +
+  '8025a028ef61340bd939bc2195fe537567866003e1a15d3c71ff63e1590620aa636276' +
+  'a067cbe9d8997f761aecb703304b3800ccf555c9f3dc64214b297fb1966a3b6d83'
+
+const MNEMONIC = 'abandon abandon abandon abandon abandon abandon abandon abandon abandon abandon abandon about'
+
+describe('Wallet', () => {
+  describe('#fromPrivateKey', () => {
+    it('should derive the address', () => {
+      Wallet.fromPrivateKey(web3, EIP155_KEY).address.should.equal('0x9d8A62f656a8d1615C1294fd71e9CFb3E4855A4F')
+    })
+
+    it('should accept a key without 0x and surrounding whitespace', () => {
+      Wallet.fromPrivateKey(web3, EIP155_KEY.slice(2) + '\n').address.should.equal('0x9d8A62f656a8d1615C1294fd71e9CFb3E4855A4F')
+    })
+
+    it('should reject a malformed key', () => {
+      (() => Wallet.fromPrivateKey(web3, '0x1234')).should.throw('The private key must be 32 bytes of hex')
+    })
+
+    it('should sign the EIP-155 example transaction', async () => {
+      const { rawTransaction } = await Wallet.fromPrivateKey(web3, EIP155_KEY).signTransaction(EIP155_TX)
+      rawTransaction.should.equal(EIP155_RAW)
+    })
+  })
+
+  describe('#fromMnemonic', () => {
+    it('should derive the BIP44 account of a path', () => {
+      Wallet.fromMnemonic(web3, MNEMONIC, 'm/44\'/60\'/0\'/0/0').address.should.equal('0x9858EfFD232B4033E47d90003D41EC34EcaEda94')
+    })
+
+    it('should derive the Ubiq account by default', () => {
+      Wallet.fromMnemonic(web3, MNEMONIC).address.should.equal('0xA4aD3F9c7e78D9C5361C68837696D449BE8DA6A9')
+    })
+
+    it('should normalize the whitespace between words', () => {
+      Wallet.fromMnemonic(web3, `  ${MNEMONIC.split(' ').join('  ')}\n`).address.should.equal('0xA4aD3F9c7e78D9C5361C68837696D449BE8DA6A9')
+    })
+
+    it('should reject an invalid mnemonic', () => {
+      (() => Wallet.fromMnemonic(web3, MNEMONIC.replace('about', 'abandon'))).should.throw('Invalid mnemonic')
+    })
+  })
+
+  describe('#fromKeystore', () => {
+    it('should decrypt a keystore', () => {
+      const keystore = JSON.stringify(web3.eth.accounts.encrypt(EIP155_KEY, 'secret', { n: 1024 }))
+      Wallet.fromKeystore(web3, keystore, 'secret').privateKey.should.equal(EIP155_KEY)
+    })
+
+    it('should reject a wrong password', () => {
+      const keystore = JSON.stringify(web3.eth.accounts.encrypt(EIP155_KEY, 'secret', { n: 1024 }))
+      ;(() => Wallet.fromKeystore(web3, keystore, 'wrong')).should.throw('Cannot decrypt the keystore')
+    })
+  })
+})
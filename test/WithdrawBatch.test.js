@@ -0,0 +1,88 @@
+require('chai').should()
+const fs = require('fs')
+const path = require('path')
+const { bigInt } = require('snarkjs')
+
+const { createDeposit, formatNote } = require('../lib/Note')
+const { parseWithdrawBatch, loadWithdrawBatch } = require('../lib/WithdrawBatch')
+const { useTmpDir } = require('./helpers/tmpdir')
+
+const NOTE_1 = formatNote(createDeposit(bigInt(1), bigInt(2)), '8', 8)
+const NOTE_2 = formatNote(createDeposit(bigInt(3), bigInt(4)), '8', 8)
+const RECIPIENT = '0x52908400098527886E0F7030069857D2E4169EE7'
+const OTHER_RECIPIENT = '0x8617e340b3d01fa5f11f306f4090fd50e238070d'
+
+// the vault of these tests holds NOTE_2 as #7
+const resolveNote = noteOrId => Promise.resolve(noteOrId === '7' ? NOTE_2 : noteOrId)
+
+describe('WithdrawBatch', () => {
+  const tmp = useTmpDir('batch-')
+
+  const load = (name, content) => {
+    const file = path.join(tmp.dir, name)
+    fs.writeFileSync(file, content)
+    return loadWithdrawBatch(file, resolveNote)
+  }
+  const failure = async (name, content) => {
+    let error
+    await load(name, content).catch(e => { error = e })
+    return error.message
+  }
+
+  describe('#parseWithdrawBatch', () => {
+    it('should read CSV lines, skipping comments, blank lines and the header', () => {
+      const rows = parseWithdrawBatch(`note,recipient\n# payroll\n\n${NOTE_1}, ${RECIPIENT}\n7,${OTHER_RECIPIENT}\n`, 'batch.csv')
+      rows.should.be.deep.equal([
+        { name: 'line 4', note: NOTE_1, recipient: RECIPIENT },
+        { name: 'line 5', note: '7', recipient: OTHER_RECIPIENT }
+      ])
+    })
+
+    it('should read a JSON array', () => {
+      const rows = parseWithdrawBatch(JSON.stringify([{ note: 7, recipient: RECIPIENT }]), 'batch.txt')
+      rows.should.be.deep.equal([{ name: 'entry 1', note: 7, recipient: RECIPIENT }])
+    })
+
+    it('should reject bad rows', () => {
+      (() => parseWithdrawBatch(`${NOTE_1},${RECIPIENT},1\n`, 'batch.csv')).should.throw('line 1: expected note,recipient')
+      ;(() => parseWithdrawBatch(`${NOTE_1}\n`, 'batch.csv')).should.throw('line 1: expected note,recipient')
+      ;(() => parseWithdrawBatch('[{ "note": ', 'batch.json')).should.throw('batch.json is not valid JSON')
+      ;(() => parseWithdrawBatch('{}', 'batch.json')).should.throw('batch.json must contain an array')
+    })
+  })
+
+  describe('#loadWithdrawBatch', () => {
+    it('should parse the notes and resolve vault ids', async () => {
+      const entries = await load('batch.csv', `${NOTE_1},${RECIPIENT}\n7,${OTHER_RECIPIENT}\n`)
+      entries.map(({ name, recipient, vaultId }) => ({ name, recipient, vaultId })).should.be.deep.equal([
+        { name: 'line 1', recipient: RECIPIENT, vaultId: undefined },
+        { name: 'line 2', recipient: OTHER_RECIPIENT, vaultId: 7 }
+      ])
+      entries[1].note.deposit.commitment.toString().should.be.equal(createDeposit(bigInt(3), bigInt(4)).commitment.toString())
+    })
+
+    it('should validate the recipients', async () => {
+      (await failure('batch.csv', `${NOTE_1},0x1234\n`)).should.be.equal('line 1: expected a note and a recipient address')
+      // a mixed case address with a wrong checksum is most likely mistyped
+      const mistyped = RECIPIENT.slice(0, -1) + 'e'
+      ;(await failure('batch.csv', `${NOTE_1},${mistyped}\n`)).should.be.equal('line 1: expected a note and a recipient address')
+      ;(await failure('batch.json', JSON.stringify([{ note: NOTE_1 }]))).should.be.equal('entry 1: expected a note and a recipient address')
+    })
+
+    it('should name the row of an invalid note', async () => {
+      (await failure('batch.csv', `${NOTE_1},${RECIPIENT}\ntornado-ubq-8-8-0x12,${RECIPIENT}\n`))
+        .should.be.equal('line 2: The note has invalid format')
+    })
+
+    it('should reject a note given twice, also as its vault id', async () => {
+      (await failure('batch.csv', `${NOTE_1},${RECIPIENT}\n${NOTE_1},${OTHER_RECIPIENT}\n`))
+        .should.be.equal('line 2: the note of line 1 again, a note can be withdrawn only once')
+      ;(await failure('batch.csv', `${NOTE_2},${RECIPIENT}\n7,${RECIPIENT}\n`))
+        .should.be.equal('line 2: the note of line 1 again, a note can be withdrawn only once')
+    })
+
+    it('should reject a file without withdrawals', async () => {
+      (await failure('batch.csv', 'note,recipient\n')).should.include('There are no withdrawals in')
+    })
+  })
+})
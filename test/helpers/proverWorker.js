@@ -0,0 +1,21 @@
+/*
+  Stand-in for lib/ProverWorker.js that answers without proving. The input tells every prover type
+  what to do: 'prove', 'fail' (a failed proof), 'throw', 'crash' or 'hang'.
+*/
+
+const { parentPort, workerData, threadId } = require('worker_threads')
+
+parentPort.on('message', ({ input }) => {
+  const mode = input[workerData.type]
+  parentPort.postMessage({ stage: 'witness' })
+  if (mode === 'prove') {
+    parentPort.postMessage({ stage: 'proving' })
+    parentPort.postMessage({ proofData: { type: workerData.type, provingKey: workerData.provingKey, threadId } })
+  } else if (mode === 'fail') {
+    parentPort.postMessage({ error: 'Constraint doesn\'t match', proverFailed: false })
+  } else if (mode === 'throw') {
+    throw new Error('wasm trap')
+  } else if (mode === 'crash') {
+    process.exit(3)
+  }
+})
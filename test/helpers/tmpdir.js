@@ -0,0 +1,39 @@
+const fs = require('fs')
+const os = require('os')
+const path = require('path')
+
+/** Remove a directory and everything in it */
+function remove(dir) {
+  fs.readdirSync(dir).forEach(name => {
+    const entry = path.join(dir, name)
+    if (fs.statSync(entry).isDirectory()) {
+      remove(entry)
+    } else {
+      fs.unlinkSync(entry)
+    }
+  })
+  fs.rmdirSync(dir)
+}
+
+/**
+ * Give every test of the enclosing describe its own empty temporary directory
+ * @param prefix Directory name prefix
+ * @returns Object whose `dir` is the directory of the running test
+ */
+function useTmpDir(prefix) {
+  const tmp = { dir: null }
+
+  beforeEach(() => {
+    tmp.dir = fs.mkdtempSync(path.join(os.tmpdir(), prefix))
+  })
+
+  afterEach(() => {
+    remove(tmp.dir)
+  })
+
+  return tmp
+}
+
+module.exports = {
+  useTmpDir
+}
@@ -2,29 +2,55 @@
 // Temporary demo client
 // Works both in browser and node.js
 const fs = require('fs')
+const path = require('path')
 const axios = require('axios')
 const assert = require('assert')
 const snarkjs = require('snarkjs')
 const crypto = require('crypto')
-const circomlib = require('circomlib')
 const bigInt = snarkjs.bigInt
 const merkleTree = require('./lib/MerkleTree')
+const FileStorage = require('./lib/FileStorage')
+const TreeVerifier = require('./lib/TreeVerifier')
+const ProofVerifier = require('./lib/ProofVerifier')
+const Artifacts = require('./lib/Artifacts')
+const Prover = require('./lib/Prover')
+const EventCache = require('./lib/EventCache')
+const EventFetcher = require('./lib/EventFetcher')
+const { createDeposit, formatNote, parseNote } = require('./lib/Note')
+const NoteVault = require('./lib/NoteVault')
+const NoteSeed = require('./lib/NoteSeed')
+const Wallet = require('./lib/Wallet')
+const RawTransaction = require('./lib/RawTransaction')
+const { splitAmount, notesTotal } = require('./lib/AmountSplit')
+const { loadWithdrawBatch } = require('./lib/WithdrawBatch')
+const GasOracle = require('./lib/GasOracle')
+const TxJournal = require('./lib/TxJournal')
+const Confirmations = require('./lib/Confirmations')
+const Scheduler = require('./lib/Scheduler')
+const RelayerRegistry = require('./lib/RelayerRegistry')
+const prompt = require('./lib/Prompt')
 const params = require('./lib/Params')
 const Web3 = require('web3')
-const buildGroth16 = require('websnark/src/groth16')
 const websnarkUtils = require('websnark/src/utils')
 const { toWei, fromWei } = require('web3-utils')
 
-let web3, tornado, circuit, proving_key, groth16, senderAccount, ubqAmount
+let web3, gasOracle, tornado, circuit, prover, proofVerifier, senderAccount, signer, ubqAmount, netId, vault, noteSeed
 const options = params.options()
 const MERKLE_TREE_HEIGHT = 20
+// estimated gas limits are raised by this factor, the estimate can fall short if the state changes
+const GAS_LIMIT_MARGIN = 1.2
+// nodes only replace a pending transaction paying at least 10% more, replacements pay 12.5% more
+const REPLACEMENT_GAS_PRICE_BUMP = [9, 8]
+const CONFIRMATION_POLL_INTERVAL = 5000
+const SCHEDULE_POLL_INTERVAL = 60000
+// a scheduled withdrawal that fails this often is given up
+const SCHEDULE_MAX_ATTEMPTS = 3
+// a relayer simulates the withdrawal before it answers /relay with the transaction hash
+const RELAY_TIMEOUT = 60000
 
 /** Generate random number of specified byte length */
 const rbigint = nbytes => snarkjs.bigInt.leBuff2int(crypto.randomBytes(nbytes))
 
-/** Compute pedersen hash */
-const pedersenHash = data => circomlib.babyJub.unpackPoint(circomlib.pedersenHash.hash(data))[0]
-
 /** BigNumber to hex string of specified length */
 function toHex(number, length = 32) {
   let str = number instanceof Buffer ? number.toString('hex') : bigInt(number).toString(16)
@@ -37,28 +63,433 @@ async function printBalance(account, name) {
 }
 
 /**
- * Create deposit object from secret and nullifier
+ * Make an UBQ deposit
  */
-function createDeposit(nullifier, secret) {
-  let deposit = { nullifier, secret }
-  deposit.preimage = Buffer.concat([deposit.nullifier.leInt2Buff(31), deposit.secret.leInt2Buff(31)])
-  deposit.commitment = pedersenHash(deposit.preimage)
-  deposit.nullifierHash = pedersenHash(deposit.nullifier.leInt2Buff(31))
-  return deposit
+async function deposit() {
+  const { note, entry } = await submitDeposit()
+  if (entry) {
+    await waitForTransaction(entry)
+  }
+  return note
 }
 
 /**
- * Make an UBQ deposit
+ * Broadcast a deposit into the active pool without waiting for it to be mined
+ * @param index Seed note index (default: --index or the next unused one)
+ * @returns Note, seed index, vault id and journal entry (null for dry-run and unsigned deposits)
  */
-async function deposit() {
-  const deposit = createDeposit(rbigint(31), rbigint(31))
+async function submitDeposit(index = options.index) {
+  // unlock the vault first, so a wrong password can't leave a deposit without a stored note
+  if (!options['dry-run']) {
+    await openVault()
+  }
+  const { deposit, index: noteIndex, seed } = await newDeposit(index)
   console.log('Submitting deposit transaction to Pool ' + options.pool + ' (' + fromWei(ubqAmount.toString()) + ' UBQ)')
-  console.log('Waiting for inclusion in next block')
-  await tornado.methods.deposit(toHex(deposit.commitment)).send({ value: ubqAmount, from: senderAccount, gas:2e6 })
+  const note = formatNote(deposit, fromWei(ubqAmount.toString()), netId)
+  // the note is stored before the transaction is sent, it must not be lost if sending fails halfway
+  let stored = null
+  if (!options['dry-run']) {
+    if (options['show-note']) {
+      console.log('Your note:', note)
+    }
+    stored = vault.add({
+      note,
+      pool: options.pool,
+      netId,
+      txHash: null,
+      commitment: toHex(deposit.commitment),
+      index: noteIndex,
+      seed,
+      label: options.label || ''
+    })
+    console.log(`Note stored in vault as #${stored.id}`)
+  }
+  const recordHash = txHash => {
+    try {
+      vault.update(stored.id, { txHash })
+    } catch (e) {
+      console.log(`Could not record the transaction hash of note #${stored.id}: ${e.message}`)
+    }
+    return { vaultId: stored.id, commitment: toHex(deposit.commitment) }
+  }
+  const entry = await submitTransaction(tornado.methods.deposit(toHex(deposit.commitment)), {
+    value: ubqAmount,
+    kind: 'deposit',
+    onTransactionHash: recordHash
+  })
+  return { note: stored ? note : null, index: noteIndex, vaultId: stored ? stored.id : undefined, entry }
+}
 
-  const note = toHex(deposit.preimage, 62)
-  console.log('Your note:', note)
-  return note
+/**
+ * Parse the --deposit argument: empty for --count deposits into --pool, or pool:count pairs like 1:3,2:1
+ * @param spec --deposit value
+ */
+function parseDepositPlan(spec) {
+  const plan = spec
+    ? spec.split(',').map(item => {
+      const match = /^(\d+):(\d+)$/.exec(item.trim())
+      assert(match, `Invalid deposit ${item}, use pool:count pairs like 1:3,2:1`)
+      return { pool: Number(match[1]), count: Number(match[2]) }
+    })
+    : [{ pool: options.pool, count: options.count }]
+  for (const { pool, count } of plan) {
+    assert(POOLS.has(pool), `There is no pool ${pool}`)
+    assert(Number.isInteger(count) && count > 0, `Invalid deposit count ${count}`)
+  }
+  return plan
+}
+
+/**
+ * Deposit an amount split across the pools, after showing the plan and its cost
+ * @param amount Amount in UBQ
+ */
+async function depositAmount(amount) {
+  const { plan, leftover } = splitAmount(web3.utils.toBN(toWei(amount)), POOLS)
+  assert(plan.length > 0, `${amount} UBQ is less than the smallest pool`)
+  await printDepositPlan(plan, leftover)
+  if (await confirm('Make these deposits?')) {
+    await depositBatch(plan)
+  }
+}
+
+/**
+ * Print the deposits of a plan with their value and gas cost
+ * @param plan Deposits per pool: [{ pool, count }]
+ * @param leftover Wei that is not deposited
+ */
+async function printDepositPlan(plan, leftover) {
+  const { toBN } = web3.utils
+  const gasPrice = await gasOracle.gasPrice(options['gas-price'])
+  const abi = require('./contracts/ETHTornado.json').abi
+  let total = toBN(0)
+  let fees = toBN(0)
+  for (const { pool, count } of plan) {
+    const { contract, denomination } = POOLS.get(pool)
+    const value = toBN(denomination.toString())
+    // any fresh commitment costs the same gas
+    const data = new web3.eth.Contract(abi, contract).methods.deposit(toHex(rbigint(31))).encodeABI()
+    const gas = await estimateGasLimit({ from: senderAccount, to: contract, data, value: web3.utils.toHex(value) })
+    const fee = toBN(gas).mul(gasPrice).muln(count)
+    console.log(`  Pool ${pool}: ${count} x ${fromWei(value)} UBQ, gas up to ${fromWei(fee)} UBQ`)
+    total = total.add(value.muln(count))
+    fees = fees.add(fee)
+  }
+  console.log(`Deposits ${fromWei(total)} UBQ + gas up to ${fromWei(fees)} UBQ = ${fromWei(total.add(fees))} UBQ`)
+  if (!leftover.isZero()) {
+    console.log(`${fromWei(leftover)} UBQ is left over, it is less than the smallest pool`)
+  }
+}
+
+/**
+ * Ask to go ahead, unless --yes
+ * @param query Question
+ */
+async function confirm(query) {
+  if (options.yes) {
+    return true
+  }
+  return /^y(es)?$/i.test((await prompt.question(`${query} [y/N] `)).trim())
+}
+
+/**
+ * Make several deposits. All of them are broadcast first, with sequential nonces, then waited for.
+ * Broadcasting stops at the first failure; the notes of the deposits sent before are already in
+ * the vault and the summary tells which deposits went through.
+ * @param plan Deposits per pool: [{ pool, count }]
+ */
+async function depositBatch(plan) {
+  assert(!options.unsigned, '--unsigned makes one deposit at a time')
+  const total = plan.reduce((sum, { count }) => sum + count, 0)
+  const value = plan.reduce((sum, { pool, count }) => sum.add(web3.utils.toBN(POOLS.get(pool).denomination.toString()).muln(count)),
+    web3.utils.toBN(0))
+  const balance = web3.utils.toBN(await web3.eth.getBalance(senderAccount))
+  assert(balance.gte(value), `The sender has ${fromWei(balance)} UBQ, the ${total} deposits need ${fromWei(value)} UBQ plus gas`)
+
+  const results = []
+  let failure
+  for (const { pool, count } of plan) {
+    await selectPool(pool)
+    let index = options.index
+    for (let i = 0; i < count && !failure; i++) {
+      console.log(`Deposit ${results.length + 1} of ${total}`)
+      try {
+        const result = await submitDeposit(index)
+        results.push(Object.assign({ pool }, result))
+        // the pool's events don't show the pending deposits yet, so the next seed index is counted here
+        if (result.index !== undefined) {
+          index = result.index + 1
+        }
+      } catch (e) {
+        failure = { pool, error: e }
+      }
+    }
+  }
+
+  for (const result of results) {
+    if (result.entry) {
+      try {
+        result.receipt = await waitForTransaction(result.entry)
+      } catch (e) {
+        result.error = e
+      }
+    }
+  }
+  printDepositSummary(results, failure, total)
+  assert(!failure && results.every(result => !result.error), 'Not all deposits went through, see the summary above')
+}
+
+/**
+ * @param results Submitted deposits
+ * @param failure Pool and error of the deposit that could not be submitted
+ * @param total Number of planned deposits
+ */
+function printDepositSummary(results, failure, total) {
+  console.log('')
+  console.log(`Deposit summary: ${results.length} of ${total} submitted`)
+  for (const { pool, vaultId, entry, receipt, error } of results) {
+    const state = !entry ? 'simulated' : error ? `not confirmed: ${error.message}` : `mined in block ${receipt.blockNumber}`
+    const stored = vaultId ? `note #${vaultId}` : 'no note'
+    console.log(`  Pool ${pool}, ${stored}: ${state}`)
+  }
+  if (failure) {
+    console.log(`  Pool ${failure.pool}: failed to submit: ${failure.error.message}`)
+    console.log(`  ${total - results.length - 1} deposits were not attempted`)
+  }
+}
+
+/**
+ * Create the deposit object for a new note: random, or derived from the mnemonic seed
+ * at --index or the first index after the pool's last seed deposit or stored seed note
+ * @param index Seed note index
+ * @returns Deposit, and for a seed note its index and the seed's fingerprint
+ */
+async function newDeposit(index = options.index) {
+  const seed = await loadNoteSeed()
+  if (!seed) {
+    return { deposit: createDeposit(rbigint(31), rbigint(31)) }
+  }
+  if (index === undefined) {
+    index = Math.max((await findSeedDeposits(seed)).nextIndex, lastStoredSeedIndex(seed) + 1)
+  }
+  console.log('Deriving note', NoteSeed.path(netId, poolAmount(options.pool), index))
+  return { deposit: seedDeposit(seed, options.pool, index), index, seed: seed.fingerprint }
+}
+
+/**
+ * Highest index of the seed notes of the active pool in the vault, or -1. A note is stored when its
+ * deposit is sent, so this reserves the indices of deposits the pool's events don't show yet.
+ * Seed notes are stored with their index and the seed's fingerprint.
+ * @param seed NoteSeed instance
+ */
+function lastStoredSeedIndex(seed) {
+  if (!vault) {
+    return -1
+  }
+  vault.reload()
+  return vault.notes
+    .filter(entry => entry.seed === seed.fingerprint && entry.pool === options.pool && entry.netId === netId)
+    .reduce((last, entry) => Math.max(last, entry.index), -1)
+}
+
+/**
+ * Create deposit object for a derivation path of the mnemonic seed
+ * @param seed NoteSeed instance
+ * @param poolId Pool id
+ * @param index Note index
+ */
+function seedDeposit(seed, poolId, index) {
+  const { nullifier, secret } = seed.derive(netId, poolAmount(poolId), index)
+  return createDeposit(bigInt.leBuff2int(nullifier), bigInt.leBuff2int(secret))
+}
+
+/**
+ * Denomination of a pool in UBQ, as written in notes
+ * @param poolId Pool id
+ */
+function poolAmount(poolId) {
+  return fromWei(POOLS.get(poolId).denomination.toString())
+}
+
+/**
+ * Match successive seed notes of the active pool against its Deposit events.
+ * Scanning stops after --gap-limit consecutive indices without a deposit.
+ * @param seed NoteSeed instance
+ */
+async function findSeedDeposits(seed) {
+  const events = await getEvents(tornado, 'Deposit')
+  const eventsByCommitment = new Map(events.map(e => [e.returnValues.commitment, e]))
+  const found = []
+  for (let index = 0, gap = 0; gap < options['gap-limit']; index++) {
+    const deposit = seedDeposit(seed, options.pool, index)
+    const event = eventsByCommitment.get(toHex(deposit.commitment))
+    if (event) {
+      found.push({ index, deposit, event })
+      gap = 0
+    } else {
+      gap++
+    }
+  }
+  return { found, nextIndex: found.length > 0 ? found[found.length - 1].index + 1 : 0 }
+}
+
+/** Load the mnemonic seed from --mnemonic-file or prompt for it with --mnemonic */
+async function loadNoteSeed() {
+  if (noteSeed === undefined) {
+    if (options['mnemonic-file']) {
+      noteSeed = new NoteSeed(fs.readFileSync(options['mnemonic-file'], 'utf8'))
+    } else if (options.mnemonic) {
+      noteSeed = new NoteSeed(await prompt.password('Mnemonic: '))
+    } else {
+      noteSeed = null
+    }
+  }
+  return noteSeed
+}
+
+/**
+ * Re-derive seed notes in every pool, store the ones missing from the vault
+ * and report the unspent balance
+ */
+async function recover() {
+  const seed = await loadNoteSeed()
+  if (!seed) {
+    throw new Error('Recovery needs --mnemonic or --mnemonic-file')
+  }
+  await openVault()
+  const storedNotes = new Set(vault.notes.map(entry => entry.note))
+  let balance = bigInt(0)
+  for (const poolId of POOLS.keys()) {
+    await selectPool(poolId)
+    const { found } = await findSeedDeposits(seed)
+    for (const { index, deposit, event } of found) {
+      const isSpent = await tornado.methods.isSpent(toHex(deposit.nullifierHash)).call()
+      const note = formatNote(deposit, fromWei(ubqAmount.toString()), netId)
+      console.log(`Pool ${poolId} note ${index}: leaf ${event.returnValues.leafIndex}, block ${event.blockNumber}, ${isSpent ? 'spent' : 'unspent'}`)
+      if (!isSpent) {
+        balance = balance.add(bigInt(ubqAmount.toString()))
+      }
+      if (!storedNotes.has(note)) {
+        const entry = vault.add({
+          note,
+          pool: poolId,
+          netId,
+          txHash: event.transactionHash,
+          index,
+          seed: seed.fingerprint,
+          spent: isSpent,
+          label: 'recovered'
+        })
+        console.log(`Note stored in vault as #${entry.id}`)
+      }
+    }
+  }
+  console.log('Unspent balance is', fromWei(balance.toString()), 'UBQ')
+}
+
+/**
+ * Find the pool id matching a note amount
+ * @param amount Denomination in UBQ
+ */
+function findPoolByAmount(amount) {
+  const wei = toWei(amount)
+  for (const [id, pool] of POOLS) {
+    if (toWei(fromWei(pool.denomination.toString())) === wei) {
+      return id
+    }
+  }
+  throw new Error(`There is no ${amount} UBQ pool`)
+}
+
+/**
+ * Pool of a parsed note: prefixed notes carry their denomination, legacy notes use --pool
+ * @param note Parsed note
+ */
+function notePool(note) {
+  return note.amount === null ? options.pool : findPoolByAmount(note.amount)
+}
+
+/**
+ * Refuse notes made on another network than the connected one
+ * @param note Parsed note
+ */
+function assertNoteNetwork(note) {
+  if (note.netId !== null && note.netId !== netId) {
+    throw new Error(`This note is for network ${note.netId}, but the node is connected to network ${netId}`)
+  }
+}
+
+/**
+ * Get contract events, fetching only blocks missing from the local cache
+ * @param contract Tornado contract
+ * @param eventName Event name
+ */
+async function getEvents(contract, eventName) {
+  const cache = eventCache(contract, eventName)
+  if (options.offline) {
+    return cache.events.slice()
+  }
+  return cache.sync(await web3.eth.getBlockNumber(), options.confirmations)
+}
+
+/**
+ * Open the local cache of contract events
+ * @param contract Tornado contract
+ * @param eventName Event name
+ */
+function eventCache(contract, eventName) {
+  const fetcher = new EventFetcher({
+    blockRange: options['block-range'],
+    retries: options['rpc-retries'],
+    onProgress: printFetchProgress
+  })
+  return new EventCache(path.join(options.datadir, 'cache'), netId, contract, eventName, fetcher)
+}
+
+/** Display event fetching progress */
+function printFetchProgress({ eventName, fromBlock, toBlock, block, count }) {
+  const percent = Math.floor((block - fromBlock + 1) * 100 / (toBlock - fromBlock + 1))
+  const line = `Fetching ${eventName} events: ${percent}% (block ${block} of ${toBlock}, ${count} new)`
+  if (process.stdout.isTTY) {
+    process.stdout.write('\r' + line + (block === toBlock ? '\n' : ''))
+  } else if (block === toBlock) {
+    console.log(line)
+  }
+}
+
+/** File of the pool's persisted merkle tree */
+function treeFile(contract) {
+  return path.join(options.datadir, 'trees', `${netId}_${contract._address.toLowerCase()}.jsonl`)
+}
+
+/**
+ * Load the pool's merkle tree persisted in the data dir and insert only the leaves it is missing.
+ * A stored tree that disagrees with the leaves, e.g. after a reorg, is rebuilt from scratch.
+ * @param contract Tornado contract
+ * @param leaves Commitments in leaf index order
+ */
+async function loadTree(contract, leaves) {
+  const file = treeFile(contract)
+  let tree = new merkleTree(MERKLE_TREE_HEIGHT, null, 'tornado', new FileStorage(file))
+  await tree.ready
+
+  const size = tree.totalElements
+  const lastLeaf = size > 0 ? await tree.storage.get(merkleTree.index_to_key('tornado', 0, size - 1)) : undefined
+  if (size === 0 || size > leaves.length || lastLeaf !== leaves[size - 1]) {
+    if (size > 0) {
+      console.log('Stored merkle tree does not match the deposit events, rebuilding it')
+    }
+    if (fs.existsSync(file)) {
+      fs.unlinkSync(file)
+    }
+    tree = new merkleTree(MERKLE_TREE_HEIGHT, leaves, 'tornado', new FileStorage(file))
+    await tree.ready
+    return tree
+  }
+
+  for (const leaf of leaves.slice(size)) {
+    await tree.insert(leaf)
+  }
+  return tree
 }
 
 /**
@@ -69,46 +500,656 @@ async function deposit() {
  * @param deposit Deposit object
  */
 async function generateMerkleProof(contract, deposit) {
+  if (options.offline) {
+    return await generateOfflineMerkleProof(contract, deposit)
+  }
   // Get all deposit events from smart contract and assemble merkle tree from them
   console.log('Getting current state from tornado contract')
-  const events = await contract.getPastEvents('Deposit', { fromBlock: contract.deployedBlock, toBlock: 'latest' })
-  const leaves = events
-    .sort((a, b) => a.returnValues.leafIndex - b.returnValues.leafIndex) // Sort events in chronological order
-    .map(e => e.returnValues.commitment)
-  const tree = new merkleTree(MERKLE_TREE_HEIGHT, leaves)
+  const events = await getEvents(contract, 'Deposit')
+  // fail early, before the tree is built
+  const leafIndex = await findWithdrawableLeaf(contract, deposit, events)
+  const tree = await loadVerifiedTree(contract, events)
+
+  // Compute merkle proof of our commitment
+  return await tree.path(leafIndex)
+}
 
-  // Find current commitment in the tree
+/**
+ * Find the leaf of an unspent deposit
+ * @param contract Tornado contract
+ * @param deposit Deposit object
+ * @param events Deposit events of the pool
+ */
+async function findWithdrawableLeaf(contract, deposit, events) {
   let depositEvent = events.find(e => e.returnValues.commitment === toHex(deposit.commitment))
   let leafIndex = depositEvent ? depositEvent.returnValues.leafIndex : -1
+  const isSpent = await contract.methods.isSpent(toHex(deposit.nullifierHash)).call()
+  assert(isSpent === false, 'The note is already spent')
+  assert(leafIndex >= 0, 'The deposit is not found in the tree')
+  return leafIndex
+}
+
+/**
+ * Assemble the pool's merkle tree from its deposit events and check its root against the contract
+ * @param contract Tornado contract
+ * @param events Deposit events of the pool
+ */
+async function loadVerifiedTree(contract, events) {
+  const leaves = events
+    .sort((a, b) => a.returnValues.leafIndex - b.returnValues.leafIndex) // Sort events in chronological order
+    .map(e => e.returnValues.commitment)
+  const tree = await loadTree(contract, leaves)
 
   // Validate that our data is correct
   const isValidRoot = await contract.methods.isKnownRoot(toHex(await tree.root())).call()
-  const isSpent = await contract.methods.isSpent(toHex(deposit.nullifierHash)).call()
-  assert(isValidRoot === true, 'Merkle tree is corrupted')
+  if (!isValidRoot) {
+    const report = await new TreeVerifier(contract, tree, events).verify()
+    throw new Error('Merkle tree is corrupted\n  ' + report.problems.join('\n  '))
+  }
+  return tree
+}
+
+/** Compare the pool's local merkle tree with the contract state and print the differences */
+async function verifyTree() {
+  const events = await getEvents(tornado, 'Deposit')
+  const leaves = events
+    .sort((a, b) => a.returnValues.leafIndex - b.returnValues.leafIndex)
+    .map(e => e.returnValues.commitment)
+  const tree = await loadTree(tornado, leaves)
+  const report = await new TreeVerifier(tornado, tree, events).verify()
+
+  console.log(`Contract: ${report.nextIndex} leaves, last root ${report.lastRoot}`)
+  console.log(`Local:    ${report.localSize} leaves, root ${report.localRoot}`)
+  if (report.valid) {
+    console.log('The local merkle tree matches the contract')
+  } else {
+    report.problems.forEach(problem => console.log('  ' + problem))
+    throw new Error('The local merkle tree does not match the contract')
+  }
+}
+
+/**
+ * Look up deposit events and spent state of notes in the active pool,
+ * checking all nullifier hashes with a single isSpentArray call
+ * @param deposits Deposit objects
+ */
+async function getNoteStatus(deposits) {
+  const events = await getEvents(tornado, 'Deposit')
+  const eventsByCommitment = new Map(events.map(e => [e.returnValues.commitment, e]))
+  const spent = await tornado.methods.isSpentArray(deposits.map(d => toHex(d.nullifierHash))).call()
+  return deposits.map((deposit, i) => ({
+    depositEvent: eventsByCommitment.get(toHex(deposit.commitment)) || null,
+    isSpent: spent[i]
+  }))
+}
+
+/**
+ * Display note status
+ * @param name Note name
+ * @param status Result of getNoteStatus
+ */
+function printNoteStatus(name, { depositEvent, isSpent }) {
+  if (!depositEvent) {
+    console.log(`${name}: not deposited in pool ${options.pool}`)
+    return
+  }
+  const { leafIndex, timestamp } = depositEvent.returnValues
+  const date = new Date(timestamp * 1000).toISOString()
+  console.log(`${name}: pool ${options.pool}, leaf ${leafIndex}, tx ${depositEvent.transactionHash}, block ${depositEvent.blockNumber}, ${date}, ${isSpent ? 'spent' : 'unspent'}`)
+}
+
+/**
+ * Read the notes of the vault or of a file with one note per line, grouped by pool.
+ * Notes of another network are skipped.
+ * @param source 'vault' or file name
+ * @returns Map of pool id to entries with a name, the parsed note and the vault id
+ */
+async function loadNotesByPool(source) {
+  let entries
+  if (source === 'vault') {
+    await openVault()
+    entries = vault.notes.map(entry => ({ name: `#${entry.id}`, id: entry.id, note: parseNote(entry.note) }))
+  } else {
+    entries = fs.readFileSync(source, 'utf8')
+      .split('\n')
+      .map(line => line.trim())
+      .filter(line => line && !line.startsWith('#'))
+      .map((line, i) => ({ name: `line ${i + 1}`, note: parseNote(line) }))
+  }
+
+  const byPool = new Map()
+  for (const entry of entries) {
+    if (entry.note.netId !== null && entry.note.netId !== netId) {
+      console.log(`${entry.name}: note for network ${entry.note.netId}, skipped`)
+      continue
+    }
+    const poolId = notePool(entry.note)
+    byPool.set(poolId, (byPool.get(poolId) || []).concat(entry))
+  }
+  return byPool
+}
+
+/**
+ * Withdraw every unspent note of the vault or of a file to one recipient, one after the other.
+ * A failed withdrawal does not stop the others, the summary lists the outcome of each note.
+ * @param source 'vault' or file name
+ * @param recipient Recipient address
+ */
+async function withdrawAll(source, recipient) {
+  assert(!options.unsigned, '--unsigned makes one withdrawal at a time')
+  const unspent = []
+  for (const [poolId, entries] of await loadNotesByPool(source)) {
+    await selectPool(poolId)
+    const statuses = await getNoteStatus(entries.map(entry => entry.note.deposit))
+    entries.forEach((entry, i) => {
+      if (statuses[i].depositEvent && !statuses[i].isSpent) {
+        unspent.push(Object.assign({ poolId, amount: POOLS.get(poolId).denomination }, entry))
+      }
+    })
+  }
+  if (unspent.length === 0) {
+    console.log('There are no unspent notes')
+    return
+  }
+
+  const total = notesTotal(unspent)
+  console.log(`${unspent.length} unspent notes, ${fromWei(total)} UBQ, will be withdrawn to ${recipient}`)
+  unspent.forEach(({ name, poolId, amount }) => console.log(`  ${name}: pool ${poolId}, ${fromWei(amount.toString())} UBQ`))
+  console.log('Warning: withdrawals to the same address can be linked to each other')
+  if (!await confirm('Withdraw them?')) {
+    return
+  }
+
+  const results = []
+  for (const entry of unspent) {
+    console.log(`Withdrawing ${entry.name} (${results.length + 1} of ${unspent.length})`)
+    if (options.pool !== entry.poolId) {
+      await selectPool(entry.poolId)
+    }
+    try {
+      if (useRelayers()) {
+        await withdrawRelay(entry.note.deposit, recipient, relayerRegistry(), entry.id)
+      } else {
+        await withdraw(entry.note.deposit, recipient, entry.id)
+      }
+      results.push({ entry })
+    } catch (e) {
+      results.push({ entry, error: e })
+    }
+  }
+
+  console.log('')
+  const done = options['dry-run'] ? 'simulated' : 'withdrawn'
+  console.log(`Withdrawal summary: ${results.filter(result => !result.error).length} of ${unspent.length} ${done}`)
+  results.forEach(({ entry, error }) => console.log(`  ${entry.name}: ${error ? `failed: ${error.message}` : done}`))
+  assert(results.every(result => !result.error), 'Not all notes were withdrawn, see the summary above')
+}
+
+/**
+ * Withdraw many notes, each to its own recipient. Per pool, the merkle tree is built once and
+ * all proofs are generated before the withdrawals are submitted, directly with sequential nonces
+ * or through the cheapest relayer, then waited for. A note is proven again for the next relayer
+ * when its relayer fails. Failures are recorded per note and don't stop the others;
+ * the result of every note is written to --batch-report.
+ * @param file Batch file, see lib/WithdrawBatch
+ */
+async function withdrawBatch(file) {
+  assert(!options.unsigned, '--unsigned makes one withdrawal at a time')
+  const entries = await loadWithdrawBatch(file, resolveNote)
+
+  const byPool = new Map()
+  for (const entry of entries) {
+    entry.poolId = notePool(entry.note)
+    byPool.set(entry.poolId, (byPool.get(entry.poolId) || []).concat(entry))
+  }
+  for (const [poolId, poolEntries] of byPool) {
+    await selectPool(poolId)
+    console.log(`Pool ${poolId}: proving ${poolEntries.length} withdrawals`)
+    const relayers = useRelayers() ? await selectRelayers(relayerRegistry()) : null
+    const relay = relayers ? await acceptRelayerFee(relayers[0]) : { relayerAddress: 0, fee: 0 }
+    const events = await getEvents(tornado, 'Deposit')
+    let tree
+    for (const entry of poolEntries) {
+      try {
+        assertNoteNetwork(entry.note)
+        const leafIndex = await findWithdrawableLeaf(tornado, entry.note.deposit, events)
+        tree = tree || await loadVerifiedTree(tornado, events)
+        console.log(`${entry.name}: proving`)
+        entry.merkleProof = await tree.path(leafIndex)
+        const proof = await proveWithdrawal(entry.merkleProof, entry.note.deposit, entry.recipient, relay.relayerAddress, relay.fee)
+        Object.assign(entry, proof, { relayers })
+      } catch (e) {
+        entry.error = e
+      }
+    }
+  }
+
+  for (const entry of entries.filter(e => !e.error)) {
+    if (options.pool !== entry.poolId) {
+      await selectPool(entry.poolId)
+    }
+    console.log(`${entry.name}: withdrawing to ${entry.recipient}`)
+    try {
+      entry.journal = entry.relayers
+        ? await postRelayWithdrawalWithFallback(entry.relayers, ({ relayer, relayerAddress, fee }) => relayer === entry.relayers[0]
+          ? { proof: entry.proof, args: entry.args }
+          : proveWithdrawal(entry.merkleProof, entry.note.deposit, entry.recipient, relayerAddress, fee), entry.vaultId)
+        : await submitTransaction(tornado.methods.withdraw(entry.proof, ...entry.args), {
+          kind: 'withdraw',
+          onTransactionHash: () => ({ vaultId: entry.vaultId })
+        })
+    } catch (e) {
+      entry.error = e
+    }
+  }
+  for (const entry of entries.filter(e => e.journal)) {
+    try {
+      entry.receipt = await waitForTransaction(entry.journal)
+    } catch (e) {
+      entry.error = e
+    }
+  }
+
+  const report = entries.map(({ name, recipient, poolId, vaultId, journal, receipt, error }) => ({
+    name,
+    recipient,
+    pool: poolId,
+    vaultId,
+    status: error ? 'failed' : receipt ? 'withdrawn' : 'simulated',
+    txHash: receipt ? receipt.transactionHash : journal ? journal.hashes[journal.hashes.length - 1] : undefined,
+    blockNumber: receipt ? receipt.blockNumber : undefined,
+    error: error ? error.message : undefined
+  }))
+  const reportFile = options['batch-report'] || file.replace(/(\.[^./]*)?$/, '.result.json')
+  fs.writeFileSync(reportFile, JSON.stringify(report, null, 2) + '\n')
+
+  console.log('')
+  console.log(`Withdrawal summary: ${report.filter(r => r.status === 'withdrawn').length} of ${report.length} withdrawn, report written to ${reportFile}`)
+  report.forEach(r => console.log(`  ${r.name}: ${r.status}${r.txHash ? ' ' + r.txHash : ''}${r.error ? ': ' + r.error : ''}`))
+  assert(report.every(r => r.status !== 'failed'), 'Not all notes were withdrawn, see the summary above')
+}
+
+/** Open the withdrawal schedule */
+function withdrawalSchedule() {
+  return new Scheduler(path.join(options.datadir, 'schedule.json'))
+}
+
+/**
+ * Schedule vault notes for withdrawal at random times between --min-delay and --max-delay
+ * @param spec Comma separated vault ids, or 'vault' for every unspent note of the network
+ * @param recipients Comma separated recipient addresses
+ */
+async function scheduleWithdrawals(spec, recipients) {
+  await openVault()
+  const scheduler = withdrawalSchedule()
+  let vaultIds
+  if (spec === 'vault') {
+    const scheduled = scheduler.pending().map(w => w.vaultId)
+    vaultIds = vault.notes.filter(n => !n.spent && n.netId === netId && !scheduled.includes(n.id)).map(n => n.id)
+  } else {
+    vaultIds = spec.split(',').map(id => vault.get(id.trim()).id)
+  }
+  assert(vaultIds.length > 0, 'There are no notes to schedule')
+  recipients = (recipients || '').split(',').map(recipient => recipient.trim())
+  recipients.forEach(recipient => assert(/^0x[0-9a-fA-F]{40}$/.test(recipient), `Invalid recipient ${recipient}`))
+
+  const added = scheduler.plan(vaultIds, recipients, {
+    minDelay: options['min-delay'],
+    maxDelay: options['max-delay'],
+    minDepositsAfter: options['min-deposits-after'],
+    relay: useRelayers() ? relayerRegistry().urls.join(',') : undefined
+  })
+  added.forEach(printScheduledWithdrawal)
+  console.log('Run --daemon to carry out the schedule')
+}
+
+/** Print one scheduled withdrawal */
+function printScheduledWithdrawal(w) {
+  const deposits = w.minDepositsAfter > 0 ? ` and ${w.minDepositsAfter} later deposits` : ''
+  const error = w.error ? ` (${w.error})` : ''
+  console.log(`#${w.id}: note #${w.vaultId} to ${w.recipient}${w.relay ? ' through ' + w.relay : ''}, ` +
+    `after ${w.withdrawAt}${deposits}: ${w.status}${error}`)
+}
+
+/** Print the withdrawal schedule */
+function printSchedule() {
+  const { withdrawals } = withdrawalSchedule()
+  if (withdrawals.length === 0) {
+    console.log('There are no scheduled withdrawals')
+  }
+  withdrawals.forEach(printScheduledWithdrawal)
+}
+
+/**
+ * Carry out the withdrawal schedule until nothing is left, checking for due withdrawals every minute.
+ * The vault and the schedule are read again at every poll, other runs may change them meanwhile.
+ */
+async function runDaemon() {
+  await openVault()
+  const pending = withdrawalSchedule().pending()
+  // no one is there to confirm a relayer fee, it must have a cap
+  assert(options['max-fee'] !== undefined || pending.every(w => !w.relay),
+    'Relayed withdrawals run unattended, give the daemon --max-fee')
+  console.log(`Daemon started, ${pending.length} withdrawals scheduled`)
+  for (;;) {
+    try {
+      vault.reload()
+      const scheduler = withdrawalSchedule()
+      for (const withdrawal of scheduler.due()) {
+        await runScheduledWithdrawal(scheduler, withdrawal)
+      }
+      if (scheduler.pending().length === 0) {
+        console.log('The schedule is done')
+        return
+      }
+    } catch (e) {
+      // the vault or schedule file could not be read or written, e.g. locked for too long
+      console.log(`Poll failed: ${e.message}, trying again at the next poll`)
+    }
+    await new Promise(resolve => setTimeout(resolve, SCHEDULE_POLL_INTERVAL))
+  }
+}
+
+/**
+ * Make a due withdrawal through the withdraw or relay path, unless its pool has not had
+ * enough deposits since the note's. Failed withdrawals are retried at the next poll.
+ * @param scheduler Scheduler
+ * @param withdrawal Scheduled withdrawal
+ */
+async function runScheduledWithdrawal(scheduler, withdrawal) {
+  const { id, vaultId } = withdrawal
+  if (withdrawal.relay && options['max-fee'] === undefined) {
+    console.log(`#${id} goes through a relayer, restart the daemon with --max-fee to make it`)
+    return
+  }
+  // any error, from a removed note to a node that is down, costs an attempt instead of stopping the daemon
+  try {
+    const note = parseNote(vault.get(vaultId).note)
+    if (note.netId !== null && note.netId !== netId) {
+      scheduler.update(id, { status: 'failed', error: `note for network ${note.netId}` })
+      return
+    }
+    await selectPool(notePool(note))
+    const [status] = await getNoteStatus([note.deposit])
+    if (!status.depositEvent) {
+      scheduler.update(id, { status: 'failed', error: 'not deposited' })
+      return
+    }
+    if (status.isSpent) {
+      vault.update(vaultId, { spent: true })
+      scheduler.update(id, { status: 'done', error: 'already spent' })
+      return
+    }
+    if (withdrawal.minDepositsAfter > 0) {
+      const leafIndex = Number(status.depositEvent.returnValues.leafIndex)
+      const later = (await getEvents(tornado, 'Deposit')).filter(e => Number(e.returnValues.leafIndex) > leafIndex).length
+      if (later < withdrawal.minDepositsAfter) {
+        console.log(`#${id} waits for ${withdrawal.minDepositsAfter} deposits after note #${vaultId}, there are ${later}`)
+        return
+      }
+    }
+
+    console.log(`Withdrawing note #${vaultId} to ${withdrawal.recipient} (#${id})`)
+    // a withdrawal still pending from an earlier attempt must not be proven and sent again
+    const pending = txJournal().list().find(t => t.kind === 'withdraw' && t.vaultId === vaultId)
+    if (pending) {
+      await waitForTransaction(pending)
+    } else if (withdrawal.relay) {
+      await withdrawRelay(note.deposit, withdrawal.recipient, new RelayerRegistry(RelayerRegistry.parse(withdrawal.relay), axios), vaultId)
+    } else {
+      await withdraw(note.deposit, withdrawal.recipient, vaultId)
+    }
+    scheduler.update(id, { status: 'done', doneAt: new Date().toISOString() })
+  } catch (e) {
+    const attempts = withdrawal.attempts + 1
+    const retry = attempts < SCHEDULE_MAX_ATTEMPTS
+    scheduler.update(id, { attempts, error: e.message, status: retry ? 'scheduled' : 'failed' })
+    console.log(`#${id} failed: ${e.message}${retry ? ', it is retried at the next poll' : ''}`)
+  }
+}
+
+/**
+ * Print the status of many notes, read from the vault or from a file with one note per line
+ * @param source 'vault' or file name
+ */
+async function statusBatch(source) {
+  const byPool = await loadNotesByPool(source)
+  for (const [poolId, poolEntries] of byPool) {
+    await selectPool(poolId)
+    const statuses = await getNoteStatus(poolEntries.map(entry => entry.note.deposit))
+    poolEntries.forEach((entry, i) => {
+      printNoteStatus(entry.name, statuses[i])
+      if (entry.id !== undefined && statuses[i].isSpent) {
+        vault.update(entry.id, { spent: true })
+      }
+    })
+  }
+}
+
+/**
+ * Collect the on-chain history of a note: its Deposit event and, if spent, its Withdrawal event
+ * @param deposit Deposit object
+ */
+async function getComplianceReport(deposit) {
+  const depositEvent = (await getEvents(tornado, 'Deposit')).find(e => e.returnValues.commitment === toHex(deposit.commitment))
+  assert(depositEvent, 'The deposit is not found in the pool')
+  const depositTx = await web3.eth.getTransaction(depositEvent.transactionHash)
+  const report = {
+    pool: options.pool,
+    amount: fromWei(ubqAmount.toString()),
+    netId,
+    contract: tornado._address,
+    deposit: {
+      commitment: depositEvent.returnValues.commitment,
+      leafIndex: Number(depositEvent.returnValues.leafIndex),
+      timestamp: Number(depositEvent.returnValues.timestamp),
+      date: new Date(depositEvent.returnValues.timestamp * 1000).toISOString(),
+      blockNumber: depositEvent.blockNumber,
+      transactionHash: depositEvent.transactionHash,
+      from: depositTx.from
+    },
+    withdrawal: null
+  }
+
+  const isSpent = await tornado.methods.isSpent(toHex(deposit.nullifierHash)).call()
+  if (isSpent) {
+    const withdrawalEvent = (await getEvents(tornado, 'Withdrawal')).find(e => e.returnValues.nullifierHash === toHex(deposit.nullifierHash))
+    assert(withdrawalEvent, 'The note is spent but its withdrawal is not found in the pool')
+    const block = await web3.eth.getBlock(withdrawalEvent.blockNumber)
+    report.withdrawal = {
+      nullifierHash: withdrawalEvent.returnValues.nullifierHash,
+      to: withdrawalEvent.returnValues.to,
+      relayer: withdrawalEvent.returnValues.relayer,
+      fee: fromWei(withdrawalEvent.returnValues.fee),
+      timestamp: Number(block.timestamp),
+      date: new Date(block.timestamp * 1000).toISOString(),
+      blockNumber: withdrawalEvent.blockNumber,
+      transactionHash: withdrawalEvent.transactionHash
+    }
+  }
+  return report
+}
+
+/**
+ * Render a compliance report as a plain-text document
+ * @param report Result of getComplianceReport
+ */
+function formatComplianceReport(report) {
+  const lines = [
+    'Tornado compliance report',
+    `Pool ${report.pool} (${report.amount} UBQ) on network ${report.netId}, contract ${report.contract}`,
+    '',
+    'Deposit',
+    `  Date:         ${report.deposit.date}`,
+    `  Transaction:  ${report.deposit.transactionHash}`,
+    `  Block:        ${report.deposit.blockNumber}`,
+    `  From:         ${report.deposit.from}`,
+    `  Commitment:   ${report.deposit.commitment}`,
+    `  Leaf index:   ${report.deposit.leafIndex}`,
+    '',
+    'Withdrawal'
+  ]
+  if (report.withdrawal) {
+    lines.push(
+      `  Date:            ${report.withdrawal.date}`,
+      `  Transaction:     ${report.withdrawal.transactionHash}`,
+      `  Block:           ${report.withdrawal.blockNumber}`,
+      `  Recipient:       ${report.withdrawal.to}`,
+      `  Relayer:         ${report.withdrawal.relayer}`,
+      `  Fee:             ${report.withdrawal.fee} UBQ`,
+      `  Nullifier hash:  ${report.withdrawal.nullifierHash}`
+    )
+  } else {
+    lines.push('  The note is not spent')
+  }
+  return lines.join('\n') + '\n'
+}
+
+/**
+ * Print a compliance report and write it to --report as JSON (.json) or plain text
+ * @param deposit Deposit object
+ */
+async function compliance(deposit) {
+  const report = await getComplianceReport(deposit)
+  const text = formatComplianceReport(report)
+  console.log(text)
+  if (options.report) {
+    const content = path.extname(options.report) === '.json' ? JSON.stringify(report, null, 2) : text
+    fs.writeFileSync(options.report, content)
+    console.log('Report written to', options.report)
+  }
+}
+
+/**
+ * Generate merkle proof from local data only: the cached Deposit events,
+ * or the stored tree snapshot when no events were copied over
+ * @param contract Tornado contract
+ * @param deposit Deposit object
+ */
+async function generateOfflineMerkleProof(contract, deposit) {
+  const events = await getEvents(contract, 'Deposit')
+  let tree
+  if (events.length > 0) {
+    const leaves = events
+      .sort((a, b) => a.returnValues.leafIndex - b.returnValues.leafIndex)
+      .map(e => e.returnValues.commitment)
+    tree = await loadTree(contract, leaves)
+  } else {
+    tree = new merkleTree(MERKLE_TREE_HEIGHT, null, 'tornado', new FileStorage(treeFile(contract)))
+    await tree.ready
+    assert(tree.totalElements > 0, 'There are no cached events or stored tree for this pool, run --sync first')
+  }
+
+  const leafIndex = await tree.getIndexByElement(toHex(deposit.commitment))
+  assert(leafIndex !== false, 'The deposit is not found in the local tree')
+  console.log('Offline mode: the root and the nullifier are checked only when the proof is submitted')
+  return await tree.path(leafIndex)
+}
+
+/**
+ * Write a withdrawal proof and its metadata to a file, to be sent later with --submit-proof
+ * @param file File name
+ * @param proof Solidity proof
+ * @param args Public inputs
+ */
+function exportProof(file, { proof, args }) {
+  const [root, nullifierHash, recipient, relayer, fee, refund] = args
+  const data = {
+    version: 1,
+    netId,
+    pool: options.pool,
+    amount: fromWei(ubqAmount.toString()),
+    contract: tornado._address,
+    createdAt: new Date().toISOString(),
+    root,
+    nullifierHash,
+    recipient,
+    relayer,
+    fee: fromWei(bigInt(fee).toString()),
+    refund: fromWei(bigInt(refund).toString()),
+    proof,
+    args
+  }
+  fs.writeFileSync(file, JSON.stringify(data, null, 2))
+  console.log('Proof written to', file)
+}
+
+/**
+ * Check an exported proof against the current contract state and send it,
+ * through the relayer it was made for when --relay is given
+ * @param file File written by exportProof
+ */
+async function submitProof(file) {
+  const { contract, netId: proofNetId, proof, args } = JSON.parse(fs.readFileSync(file, 'utf8'))
+  const poolId = [...POOLS.keys()].find(id => POOLS.get(id).contract.toLowerCase() === contract.toLowerCase())
+  assert(poolId !== undefined, `There is no pool with contract ${contract}`)
+  // the proof is already made, checking it needs only the verification key
+  await init(poolId, { proving: false })
+  assert(proofNetId === netId, `This proof is for network ${proofNetId}, but the node is connected to network ${netId}`)
+
+  assert(proofVerifier.verifySolidity(proof, args), 'The proof is invalid')
+  const isKnownRoot = await tornado.methods.isKnownRoot(args[0]).call()
+  const isSpent = await tornado.methods.isSpent(args[1]).call()
+  assert(isKnownRoot === true, 'The proof root is no longer known to the contract, generate a new proof')
   assert(isSpent === false, 'The note is already spent')
-  assert(leafIndex >= 0, 'The deposit is not found in the tree')
 
+  if (bigInt(args[3]).isZero()) {
+    await submitWithdrawal(proof, args)
+  } else {
+    assert(useRelayers(), `This proof was made for relayer ${args[3]}, use --relay to send it`)
+    const relayer = (await selectRelayers(relayerRegistry())).find(r => bigInt(r.fee.relayerAddress).equals(bigInt(args[3])))
+    assert(relayer, `This proof was made for relayer ${args[3]}, which is not one of the healthy relayers`)
+    await submitRelayWithdrawal(relayer.url, proof, args)
+  }
+}
+
+/**
+ * Check a proof file against the verification key and print its public inputs.
+ * Accepts files written by --proof-out and relayer { proof, publicSignals } requests.
+ * @param file Proof file
+ */
+function verifyProofFile(file) {
+  const data = JSON.parse(fs.readFileSync(file, 'utf8'))
+  const { proof, publicSignals } = data.proof && data.proof.proof ? data.proof : data
+  const args = data.args || publicSignals
+  assert(Array.isArray(args) && args.length === 6, 'The proof file has no public inputs')
+
+  const [root, nullifierHash, recipient, relayer, fee, refund] = args
+  console.log('Root:          ', root)
+  console.log('Nullifier hash:', nullifierHash)
+  console.log('Recipient:     ', toHex(recipient, 20))
+  console.log('Relayer:       ', toHex(relayer, 20))
+  console.log('Fee:           ', fromWei(bigInt(fee).toString()), 'UBQ')
+  console.log('Refund:        ', fromWei(bigInt(refund).toString()), 'UBQ')
+  assert(proofVerifier.verifySolidity(proof, args), 'The proof is invalid')
+  console.log('The proof is valid')
+}
+
+/**
+ * Generate SNARK proof for withdrawal
+ * @param contract Tornado contract address
+ * @param deposit Deposit object
+ * @param recipient Funds recipient
+ * @param relayer Relayer address
+ * @param fee Relayer fee
+ * @param refund Receive ether for exchanged tokens
+ */
+async function generateProof(contract, deposit, recipient, relayer = 0, fee = 0, refund = 0) {
   // Compute merkle proof of our commitment
-  return await tree.path(leafIndex)
+  const merkleProof = await generateMerkleProof(contract, deposit)
+  return proveWithdrawal(merkleProof, deposit, recipient, relayer, fee, refund)
 }
 
 /**
- * Generate SNARK proof for withdrawal
- * @param contract Tornado contract address
- * @param note Note string
+ * Generate SNARK proof for withdrawal from a merkle proof
+ * @param merkleProof Root and path of the deposit's leaf
+ * @param deposit Deposit object
  * @param recipient Funds recipient
  * @param relayer Relayer address
  * @param fee Relayer fee
  * @param refund Receive ether for exchanged tokens
  */
-async function generateProof(contract, note, recipient, relayer = 0, fee = 0, refund = 0) {
-  // Decode hex string and restore the deposit object
-  let buf = Buffer.from(note.slice(2), 'hex')
-  let deposit = createDeposit(bigInt.leBuff2int(buf.slice(0, 31)), bigInt.leBuff2int(buf.slice(31, 62)))
-
-  // Compute merkle proof of our commitment
-  const { root, path_elements, path_index } = await generateMerkleProof(contract, deposit)
-
+async function proveWithdrawal({ root, path_elements, path_index }, deposit, recipient, relayer = 0, fee = 0, refund = 0) {
   // Prepare circuit input
   const input = {
     // Public snark inputs
@@ -126,9 +1167,9 @@ async function generateProof(contract, note, recipient, relayer = 0, fee = 0, re
     pathIndices: path_index,
   }
 
-  console.log('Generating SNARK proof')
+  console.log(`Generating SNARK proof with ${prover.type}`)
   console.time('Proof time')
-  const proofData = await websnarkUtils.genWitnessAndProve(groth16, input, circuit, proving_key)
+  const proofData = await prover.prove(input)
   const { proof } = websnarkUtils.toSolidityInput(proofData)
   console.timeEnd('Proof time')
 
@@ -141,60 +1182,634 @@ async function generateProof(contract, note, recipient, relayer = 0, fee = 0, re
     toHex(input.refund)
   ]
 
+  // a bad proof would only be rejected on chain, after costing gas or the relayer's trust
+  console.log('Verifying SNARK proof')
+  assert(proofVerifier.verifySolidity(proof, args), 'The generated proof is invalid, check the circuit and proving key files')
+
   return { proof, args }
 }
 
+/** Display proof generation stages */
+function printProofProgress(stage) {
+  const messages = {
+    witness: '  Calculating witness',
+    proving: '  Computing proof',
+    fallback: '  websnark failed, proving with snarkjs instead'
+  }
+  console.log(messages[stage])
+}
+
 /**
  * Do a UBQ withdrawal
- * @param note Note to withdraw
+ * @param deposit Deposit object of the note to withdraw
  * @param recipient Recipient address
+ * @param vaultId Vault id of the note, marked spent once withdrawn
  */
-async function withdraw(note, recipient) {
-  const { proof, args } = await generateProof(tornado, note, recipient)
+async function withdraw(deposit, recipient, vaultId) {
+  const { proof, args } = await generateProof(tornado, deposit, recipient)
+  await submitWithdrawal(proof, args, vaultId)
+}
 
+/**
+ * Send a withdraw transaction from the sender account
+ * @param proof Solidity proof
+ * @param args Public inputs
+ * @param vaultId Vault id of the note, marked spent once withdrawn
+ */
+async function submitWithdrawal(proof, args, vaultId) {
   console.log('Submitting withdraw transaction')
-  console.log('Waiting for inclusion in next block')
-  await tornado.methods.withdraw(proof, ...args).send({ from: senderAccount, gas: 1e6 })
-  console.log('Done')
+  const receipt = await sendTransaction(tornado.methods.withdraw(proof, ...args), {
+    kind: 'withdraw',
+    onTransactionHash: () => ({ vaultId })
+  })
+  if (receipt) {
+    console.log('Done')
+  }
+}
+
+/** Vault id of the note being withdrawn, when --withdraw was given one */
+function withdrawVaultId() {
+  return /^\d+$/.test(options.withdraw || '') ? Number(options.withdraw) : undefined
+}
+
+/**
+ * Build the transaction of a contract call to the active pool from the sender account,
+ * with the gas limit and price of --gas-limit and --gas-price
+ * @param method Contract method call
+ * @param value Value to send in wei
+ */
+async function buildTransaction(method, { value = 0 } = {}) {
+  const tx = {
+    from: senderAccount,
+    to: tornado.options.address,
+    data: method.encodeABI(),
+    value: web3.utils.toHex(value)
+  }
+  tx.chainId = await web3.eth.getChainId()
+  tx.nonce = await nextNonce()
+  tx.gas = web3.utils.toHex(await estimateGasLimit(tx))
+  tx.gasPrice = web3.utils.toHex(await gasOracle.gasPrice(options['gas-price']))
+  return tx
+}
+
+/**
+ * Next nonce of the sender account. The node's count is checked against the pending journal,
+ * a journal transaction the node does not know must be mined first.
+ */
+async function nextNonce() {
+  let nonce = await web3.eth.getTransactionCount(senderAccount, 'pending')
+  const pending = txJournal().list(senderAccount).sort((a, b) => a.tx.nonce - b.tx.nonce)
+  for (const { id, tx } of pending) {
+    if (tx.nonce >= nonce) {
+      console.log(`Warning: pending transaction #${id} (nonce ${tx.nonce}) is unknown to the node and holds up this one, ` +
+        `rebroadcast it with --speed-up ${id} or replace it with --cancel ${id}`)
+      nonce = tx.nonce + 1
+    }
+  }
+  return nonce
+}
+
+/**
+ * Gas limit from --gas-limit, or the node's estimate with a safety margin
+ * @param tx Transaction without gas
+ */
+async function estimateGasLimit(tx) {
+  if (options['gas-limit']) {
+    return options['gas-limit']
+  }
+  let estimate
+  try {
+    estimate = await web3.eth.estimateGas({ from: tx.from, to: tx.to, data: tx.data, value: tx.value })
+  } catch (e) {
+    throw new Error(`Gas estimation failed, the transaction would probably fail: ${e.message}`)
+  }
+  return Math.ceil(estimate * GAS_LIMIT_MARGIN)
+}
+
+/** Print the gas limit and price of a transaction and what it costs at most */
+function printTransactionCost(tx) {
+  const { toBN } = web3.utils
+  const fee = toBN(tx.gas).mul(toBN(tx.gasPrice))
+  console.log(`Gas limit ${toBN(tx.gas)} at ${fromWei(toBN(tx.gasPrice), 'gwei')} gwei: ` +
+    `fee up to ${fromWei(fee)} UBQ, ${fromWei(fee.add(toBN(tx.value)))} UBQ in total`)
+}
+
+/**
+ * Send a contract call to the active pool from the sender account and wait for it to be mined.
+ * @param method Contract method call
+ * @param fields Options of submitTransaction
+ * @returns Transaction receipt, or null for an unsigned or simulated transaction
+ */
+async function sendTransaction(method, fields) {
+  const entry = await submitTransaction(method, fields)
+  return entry ? waitForTransaction(entry) : null
+}
+
+/**
+ * Broadcast a contract call to the active pool from the sender account and add it to the pending journal.
+ * With --unsigned the transaction is output for signing elsewhere instead, with --dry-run it is only simulated.
+ * @param method Contract method call
+ * @param value Value to send in wei
+ * @param kind Journal label of the transaction: 'deposit' or 'withdraw'
+ * @param onTransactionHash Called with the hash once broadcast, returns fields to add to the journal entry
+ * @returns Journal entry, or null for an unsigned or simulated transaction
+ */
+async function submitTransaction(method, { value = 0, kind, onTransactionHash } = {}) {
+  if (options['dry-run']) {
+    await simulateTransaction(method, { value })
+    return null
+  }
+  const tx = await buildTransaction(method, { value })
+  printTransactionCost(tx)
+  if (options.unsigned) {
+    outputUnsignedTransaction(tx)
+    return null
+  }
+  const txHash = await broadcastTransaction(tx)
+  console.log('Transaction hash:', txHash)
+  const fields = onTransactionHash ? onTransactionHash(txHash) : {}
+  return txJournal().add(Object.assign({ kind, tx, hashes: [txHash] }, fields))
+}
+
+/**
+ * Sign a transaction, with the local key or by the node's unlocked account, and send it
+ * @param tx Transaction from buildTransaction
+ * @returns Transaction hash
+ */
+async function broadcastTransaction(tx) {
+  let promiEvent
+  if (signer) {
+    const { rawTransaction } = await signer.signTransaction(tx)
+    promiEvent = web3.eth.sendSignedTransaction(rawTransaction)
+  } else {
+    const nodeTx = Object.assign({}, tx)
+    delete nodeTx.chainId
+    promiEvent = web3.eth.sendTransaction(nodeTx)
+  }
+  return transactionHash(promiEvent)
+}
+
+/**
+ * Hash of a transaction being sent
+ * @param promiEvent web3 PromiEvent of sendTransaction or sendSignedTransaction
+ */
+function transactionHash(promiEvent) {
+  // web3 would wait for the receipt itself, the journal takes over once the hash is known
+  return new Promise((resolve, reject) => {
+    promiEvent.once('transactionHash', resolve)
+    promiEvent.catch(reject)
+  })
+}
+
+/** Open the journal of pending transactions, read afresh as other runs may have changed it */
+function txJournal() {
+  return new TxJournal(path.join(options.datadir, 'pending.json'))
+}
+
+/**
+ * Wait until one of the broadcasts of a journal transaction is mined, then drop it from the journal.
+ * If that takes longer than --tx-timeout the transaction stays in the journal for --resume,
+ * --speed-up or --cancel.
+ * @param entry Journal entry
+ * @returns Transaction receipt
+ */
+async function waitForTransaction(entry) {
+  console.log(`Waiting for inclusion of transaction #${entry.id}`)
+  let receipt = await waitForMined(entry)
+  console.log(`Transaction ${receipt.transactionHash} mined in block ${receipt.blockNumber}`)
+  receipt = await new Confirmations(web3, {
+    confirmations: options.confirmations,
+    pollInterval: CONFIRMATION_POLL_INTERVAL,
+    waitForMined
+  }).wait(entry, receipt)
+  txJournal().remove(entry.id)
+  await settleTransaction(entry, receipt)
+  return receipt
+}
+
+/**
+ * Wait for the first receipt of any broadcast of a transaction, within --tx-timeout
+ * @param entry Journal entry, or { hashes } for a transaction outside the journal
+ */
+async function waitForMined(entry) {
+  try {
+    return await waitForTxReceipt(entry.hashes, options['tx-timeout'])
+  } catch (e) {
+    if (!entry.id) {
+      throw new Error(`Transaction ${entry.hashes[0]} is not mined yet`)
+    }
+    const replace = entry.tx ? `, or replace it with --speed-up ${entry.id} or --cancel ${entry.id}` : ''
+    throw new Error(`Transaction #${entry.id} is not mined yet. Keep waiting with --resume${replace}`)
+  }
+}
+
+/**
+ * Update the vault for a mined journal transaction
+ * @param entry Journal entry
+ * @param receipt Receipt of the mined broadcast
+ */
+async function settleTransaction(entry, receipt) {
+  // a cancellation sends nothing to the sender itself
+  if (receipt.to && receipt.to.toLowerCase() === receipt.from.toLowerCase()) {
+    console.log(`The ${entry.kind} was cancelled`)
+    if (entry.kind === 'deposit' && entry.vaultId) {
+      console.log(`Note #${entry.vaultId} was never deposited, remove it with --vault-remove ${entry.vaultId}`)
+    }
+    return
+  }
+  assert(receipt.status, `Transaction ${receipt.transactionHash} was reverted`)
+  if (!entry.vaultId) {
+    return
+  }
+  if (entry.kind === 'deposit' && receipt.transactionHash !== entry.hashes[0]) {
+    (await openVault()).update(entry.vaultId, { txHash: receipt.transactionHash })
+  } else if (entry.kind === 'withdraw') {
+    (await openVault()).update(entry.vaultId, { spent: true })
+  }
+}
+
+/**
+ * Journal entry of a pending transaction the sender account can replace
+ * @param id Journal id
+ */
+function replaceableTransaction(id) {
+  const entry = txJournal().get(id)
+  assert(entry.tx, `Transaction #${id} was sent by a relayer and can't be replaced`)
+  assert(entry.tx.from.toLowerCase() === senderAccount.toLowerCase(),
+    `Transaction #${id} was sent from ${entry.tx.from}, use its key or --from`)
+  return entry
+}
+
+/**
+ * Gas price for a replacement: --gas-price, raised to outbid the pending transaction if needed
+ * @param tx Pending transaction
+ */
+async function replacementGasPrice(tx) {
+  const { toBN } = web3.utils
+  const [numerator, denominator] = REPLACEMENT_GAS_PRICE_BUMP
+  const minimum = toBN(tx.gasPrice).muln(numerator).divn(denominator).addn(1)
+  const price = await gasOracle.gasPrice(options['gas-price'])
+  return web3.utils.toHex(price.gt(minimum) ? price : minimum)
+}
+
+/**
+ * Rebroadcast a pending transaction with a higher gas price
+ * @param id Journal id
+ */
+async function speedUp(id) {
+  assert(!options['dry-run'], '--dry-run cannot simulate a replacement, --pending shows the transaction')
+  const entry = replaceableTransaction(id)
+  const tx = Object.assign({}, entry.tx, { gasPrice: await replacementGasPrice(entry.tx) })
+  printTransactionCost(tx)
+  const txHash = await broadcastTransaction(tx)
+  console.log('Replacement transaction hash:', txHash)
+  await waitForTransaction(txJournal().replace(entry.id, txHash, { gasPrice: tx.gasPrice }))
+}
+
+/**
+ * Replace a pending transaction with an empty one to the sender itself
+ * @param id Journal id
+ */
+async function cancel(id) {
+  assert(!options['dry-run'], '--dry-run cannot simulate a replacement, --pending shows the transaction')
+  const entry = replaceableTransaction(id)
+  const tx = Object.assign({}, entry.tx, {
+    to: entry.tx.from,
+    data: '0x',
+    value: '0x0',
+    gas: web3.utils.toHex(21000),
+    gasPrice: await replacementGasPrice(entry.tx)
+  })
+  printTransactionCost(tx)
+  const txHash = await broadcastTransaction(tx)
+  console.log('Cancellation transaction hash:', txHash)
+  await waitForTransaction(txJournal().replace(entry.id, txHash, tx))
+}
+
+/** Wait for every transaction in the pending journal */
+async function resume() {
+  const pending = txJournal().list()
+  if (pending.length === 0) {
+    console.log('There are no pending transactions')
+  }
+  for (const entry of pending.slice()) {
+    try {
+      await waitForTransaction(entry)
+    } catch (e) {
+      console.log(e.message)
+    }
+  }
+}
+
+/** List the pending journal with the state of each transaction on the node */
+async function printPending() {
+  const pending = txJournal().list()
+  if (pending.length === 0) {
+    console.log('There are no pending transactions')
+  }
+  for (const entry of pending) {
+    const txHash = entry.hashes[entry.hashes.length - 1]
+    const [receipt, known] = await Promise.all([web3.eth.getTransactionReceipt(txHash), web3.eth.getTransaction(txHash)])
+    const state = receipt ? `mined in block ${receipt.blockNumber}, settle it with --resume` : known ? 'pending' : 'unknown to the node'
+    const details = entry.tx
+      ? `from ${entry.tx.from} nonce ${entry.tx.nonce} at ${fromWei(web3.utils.toBN(entry.tx.gasPrice), 'gwei')} gwei`
+      : `through relay ${entry.relay}`
+    console.log(`#${entry.id} ${entry.kind} ${details}, sent ${entry.createdAt}: ${state}`)
+    console.log(`    ${entry.hashes.join('\n    ')}`)
+  }
+}
+
+/**
+ * Simulate a contract call to the active pool with eth_call and report its outcome, gas and cost
+ * @param method Contract method call
+ * @param value Value to send in wei
+ * @param from Sender, the relayer for relayed withdrawals
+ * @throws If the call would revert
+ */
+async function simulateTransaction(method, { value = 0, from = senderAccount } = {}) {
+  const tx = { from, to: tornado.options.address, data: method.encodeABI(), value: web3.utils.toHex(value) }
+  console.log('Dry run: simulating the transaction, nothing is sent')
+  let reason
+  try {
+    // nodes without revert errors return the Error(string) data as the call result
+    reason = decodeRevertReason(await web3.eth.call(tx))
+  } catch (e) {
+    reason = decodeRevertReason(e.data) || e.message
+  }
+  if (reason) {
+    throw new Error(`The transaction would revert: ${reason}`)
+  }
+  tx.gas = await estimateGasLimit(tx)
+  tx.gasPrice = await gasOracle.gasPrice(options['gas-price'])
+  console.log('The transaction would succeed')
+  printTransactionCost(tx)
+}
+
+/**
+ * Revert reason encoded as Error(string), or null for other data
+ * @param data Hex call result or error data
+ */
+function decodeRevertReason(data) {
+  if (typeof data !== 'string' || !data.startsWith('0x08c379a0')) {
+    return null
+  }
+  return web3.eth.abi.decodeParameter('string', '0x' + data.slice(10))
+}
+
+/** Print the unsigned transaction or write it to --tx-out */
+function outputUnsignedTransaction(tx) {
+  const encoded = RawTransaction.formatUnsigned(tx, options['tx-format'])
+  if (options['tx-out']) {
+    fs.writeFileSync(options['tx-out'], encoded + '\n')
+    console.log(`Unsigned transaction written to ${options['tx-out']}`)
+  } else {
+    console.log('Unsigned transaction:')
+    console.log(encoded)
+  }
+  console.log('Signing hash:', RawTransaction.signingHash(tx))
+  console.log('Sign it with the key of', tx.from, 'and send it with --broadcast')
+}
+
+/**
+ * Send a transaction signed elsewhere, add it to the pending journal and wait for it.
+ * A deposit is linked to its note in the vault, which was stored when it was output with --unsigned.
+ * @param signedTx 0x-prefixed raw transaction, or a file containing it
+ */
+async function broadcast(signedTx) {
+  assert(!options['dry-run'], '--dry-run simulates a transaction before it is signed, not a signed one')
+  if (fs.existsSync(signedTx)) {
+    signedTx = fs.readFileSync(signedTx, 'utf8').trim()
+  }
+  assert(/^0x([0-9a-fA-F]{2})+$/.test(signedTx), 'The signed transaction must be 0x-prefixed hex')
+  const { tx } = RawTransaction.decodeSigned(web3, signedTx)
+  const fields = await signedTransactionFields(tx)
+  console.log(`Broadcasting ${fields.kind} transaction from ${tx.from} with nonce ${tx.nonce}`)
+  const txHash = await transactionHash(web3.eth.sendSignedTransaction(signedTx))
+  console.log('Transaction hash:', txHash)
+  if (fields.vaultId) {
+    vault.update(fields.vaultId, { txHash })
+  }
+  await waitForTransaction(txJournal().add(Object.assign({ tx, hashes: [txHash] }, fields)))
+}
+
+/**
+ * Journal fields of a transaction signed elsewhere: its kind, and the commitment and vault id of a deposit
+ * @param tx Decoded transaction
+ */
+async function signedTransactionFields(tx) {
+  const toPool = tx.to && [...POOLS.values()].some(pool => pool.contract.toLowerCase() === tx.to.toLowerCase())
+  const selector = name => web3.eth.abi.encodeFunctionSignature(require('./contracts/ETHTornado.json').abi.find(item => item.name === name))
+  if (!toPool) {
+    return { kind: 'transaction' }
+  }
+  if (tx.data.startsWith(selector('withdraw'))) {
+    return { kind: 'withdraw' }
+  }
+  if (!tx.data.startsWith(selector('deposit'))) {
+    return { kind: 'transaction' }
+  }
+  const commitment = '0x' + tx.data.slice(10, 74)
+  await openVault()
+  const entry = vault.notes.find(n => n.commitment === commitment) ||
+    vault.notes.find(n => !n.commitment && !n.txHash && toHex(parseNote(n.note).deposit.commitment) === commitment)
+  if (!entry) {
+    console.log('Warning: the note of this deposit is not in the vault')
+    return { kind: 'deposit', commitment }
+  }
+  console.log(`Depositing note #${entry.id}`)
+  return { kind: 'deposit', commitment, vaultId: entry.id }
+}
+
+/**
+ * Load the local signing account from --keystore, --private-key-file or --signer-mnemonic-file
+ * @returns web3 account, or null to let the node sign
+ */
+async function loadSigner() {
+  const sources = ['keystore', 'private-key-file', 'signer-mnemonic-file'].filter(name => options[name])
+  if (sources.length === 0) {
+    return null
+  }
+  assert(sources.length === 1, `Use only one of --${sources.join(', --')}`)
+
+  if (options.keystore) {
+    const password = options['keystore-password-file']
+      ? fs.readFileSync(options['keystore-password-file'], 'utf8').trim()
+      : await prompt.password('Keystore password: ')
+    return Wallet.fromKeystore(web3, fs.readFileSync(options.keystore, 'utf8'), password)
+  }
+  if (options['private-key-file']) {
+    // fd 0 reads the key piped to stdin
+    const file = options['private-key-file'] === '-' ? 0 : options['private-key-file']
+    return Wallet.fromPrivateKey(web3, fs.readFileSync(file, 'utf8'))
+  }
+  return Wallet.fromMnemonic(web3, fs.readFileSync(options['signer-mnemonic-file'], 'utf8'), options['hd-path'])
 }
 
 /**
- * Do a UBQ withdrawal through relay
- * @param note Note to withdraw
+ * Do a UBQ withdrawal through the cheapest healthy relayer, falling back to the next one
+ * @param deposit Deposit object of the note to withdraw
  * @param recipient Recipient address
- * @param relayUrl Relay url address
+ * @param registry Relayers to use
+ * @param vaultId Vault id of the note, marked spent once withdrawn
+ */
+async function withdrawRelay(deposit, recipient, registry, vaultId) {
+  const relayers = await selectRelayers(registry)
+  const merkleProof = await generateMerkleProof(tornado, deposit)
+  const entry = await postRelayWithdrawalWithFallback(relayers, ({ relayerAddress, fee }) =>
+    proveWithdrawal(merkleProof, deposit, recipient, relayerAddress, fee), vaultId)
+  if (entry) {
+    await waitForTransaction(entry)
+    console.log('Done')
+  }
+}
+
+/** Whether withdrawals go through relayers, given by --relay or --relayers */
+function useRelayers() {
+  return Boolean(options.relay || options.relayers)
+}
+
+/** The relayers of --relayers and --relay */
+function relayerRegistry() {
+  const urls = options.relayers ? RelayerRegistry.load(options.relayers) : []
+  return new RelayerRegistry(urls.concat(RelayerRegistry.parse(options.relay)), axios)
+}
+
+/**
+ * Probe relayers for a withdrawal from the active pool and rank the healthy ones
+ * @param registry Relayers to probe
+ * @returns Healthy relayers, cheapest first
+ */
+async function selectRelayers(registry) {
+  assert(registry.urls.length > 0, 'There are no relayers, give --relay or --relayers')
+  const { healthy, unhealthy } = await registry.rank({
+    netId,
+    contract: tornado._address,
+    amount: web3.utils.toBN(ubqAmount.toString())
+  })
+  unhealthy.forEach(r => console.log(`Relayer ${r.url} skipped: ${r.reason}`))
+  healthy.forEach((r, i) => console.log(`Relayer ${i + 1}: ${r.url}, fee ${fromWei(r.breakdown.total)} UBQ, ${r.latency} ms`))
+  assert(healthy.length > 0, 'There is no healthy relayer')
+  return healthy
+}
+
+/**
+ * Show the fee of a relayer for the active pool and accept it. The fee is part of the proof, so it
+ * is shown and checked against --max-fee before proving, and confirmed unless --max-fee or --yes
+ * is given. A relayer is only accepted once.
+ * @param relayer Healthy relayer, see selectRelayers
+ * @returns Relayer address and fee to prove with
+ */
+async function acceptRelayerFee(relayer) {
+  const { fee: relayerFee, breakdown: { gas, service, total, net } } = relayer
+  if (!relayer.accepted) {
+    console.log(`Relayer ${relayer.url}, address ${relayerFee.relayerAddress}`)
+    console.log(`Relayer fee for ${fromWei(ubqAmount.toString())} UBQ:`)
+    console.log(`  Gas:      ${fromWei(gas)} UBQ (${relayerFee.gasLimit} gas at ${fromWei(relayerFee.gasPrice, 'gwei')} gwei)`)
+    console.log(`  Service:  ${fromWei(service)} UBQ (${relayerFee.serviceFee}%)`)
+    console.log(`  Total:    ${fromWei(total)} UBQ`)
+    console.log(`  Received: ${fromWei(net)} UBQ`)
+    if (options['max-fee'] !== undefined) {
+      assert(total.lte(web3.utils.toBN(toWei(options['max-fee']))),
+        `The relayer fee ${fromWei(total)} UBQ is above --max-fee ${options['max-fee']} UBQ`)
+    } else if (!await confirm('Withdraw with this fee?')) {
+      throw new Error('The relayer fee was not accepted')
+    }
+    relayer.accepted = true
+  }
+  return { relayerAddress: relayerFee.relayerAddress, fee: bigInt(total.toString()) }
+}
+
+/**
+ * Send a withdrawal through the first relayer that takes it. When a relayer fails before
+ * returning a transaction hash the next one is tried, with a new proof for its address and fee,
+ * unless the note is spent by then: a relayer that timed out may have sent the withdrawal anyway.
+ * @param relayers Healthy relayers, cheapest first
+ * @param prove Makes the { proof, args } for a { relayer, relayerAddress, fee }
+ * @param vaultId Vault id of the note, marked spent once withdrawn
+ * @returns Journal entry, or null for a simulated withdrawal
  */
-async function withdrawRelay(note, recipient, relayUrl) {
-  const resp = await axios.get(relayUrl + '/status')
-  const { relayerAddress, netId, gasPrices } = resp.data
-  assert(netId === await web3.eth.net.getId() || netId === '*', 'This relay is for different network')
-  console.log('Relay address: ', relayerAddress)
+async function postRelayWithdrawalWithFallback(relayers, prove, vaultId) {
+  for (const [i, relayer] of relayers.entries()) {
+    const { relayerAddress, fee } = await acceptRelayerFee(relayer)
+    const { proof, args } = await prove({ relayer, relayerAddress, fee })
+    try {
+      return await postRelayWithdrawal(relayer.url, proof, args, vaultId)
+    } catch (e) {
+      const next = relayers[i + 1]
+      if (!next || options['dry-run']) {
+        throw e
+      }
+      const reason = e.response && e.response.data && e.response.data.error ? e.response.data.error : e.message
+      if (await tornado.methods.isSpent(args[1]).call()) {
+        throw new Error(`Relayer ${relayer.url} failed: ${reason}, but the note is spent now, ` +
+          'check the recipient before withdrawing it again')
+      }
+      console.log(`Relayer ${relayer.url} failed: ${reason}, trying ${next.url}`)
+    }
+  }
+}
 
-  const fee = bigInt(toWei(gasPrices.fast.toString(), 'gwei')).mul(bigInt(1e6))
-  const { proof, args } = await generateProof(tornado, note, recipient, relayerAddress, fee)
+/**
+ * Send a withdrawal through a relay and wait for it to be mined
+ * @param relayUrl Relay url address
+ * @param proof Solidity proof
+ * @param args Public inputs
+ * @param vaultId Vault id of the note, marked spent once withdrawn
+ */
+async function submitRelayWithdrawal(relayUrl, proof, args, vaultId) {
+  const entry = await postRelayWithdrawal(relayUrl, proof, args, vaultId)
+  if (entry) {
+    await waitForTransaction(entry)
+    console.log('Done')
+  }
+}
 
+/**
+ * Send a withdrawal through a relay and add it to the pending journal.
+ * With --dry-run it is only simulated from the relayer's address.
+ * @param relayUrl Relay url address
+ * @param proof Solidity proof
+ * @param args Public inputs
+ * @param vaultId Vault id of the note, marked spent once withdrawn
+ * @returns Journal entry, or null for a simulated withdrawal
+ */
+async function postRelayWithdrawal(relayUrl, proof, args, vaultId) {
+  if (options['dry-run']) {
+    await simulateTransaction(tornado.methods.withdraw(proof, ...args), { from: toHex(args[3], 20) })
+    return null
+  }
   console.log('Sending withdraw transaction through relay')
-  const resp2 = await axios.post(relayUrl + '/relay', { contract: tornado._address, proof: { proof, publicSignals: args } })
-  console.log(`Transaction submitted through relay, tx hash: ${resp2.data.txHash}`)
+  const resp2 = await axios.post(relayUrl + '/relay', { contract: tornado._address, proof: { proof, publicSignals: args } },
+    { timeout: RELAY_TIMEOUT })
+  const { txHash } = resp2.data || {}
+  if (!/^0x[0-9a-fA-F]{64}$/.test(txHash || '')) {
+    throw new Error(`The relay answered without a transaction hash: ${JSON.stringify(resp2.data)}`)
+  }
+  console.log(`Transaction submitted through relay, tx hash: ${txHash}`)
 
-  let receipt = await waitForTxReceipt(resp2.data.txHash)
-  console.log('Transaction mined in block', receipt.blockNumber)
-  console.log('Done')
+  return txJournal().add({ kind: 'withdraw', relay: relayUrl, hashes: [txHash], vaultId })
 }
 
 /**
  * Waits for transaction to be mined
- * @param txHash Hash of transaction
+ * @param txHashes Hash of transaction, or the hashes of its replacements
  * @param attempts
  * @param delay
  */
-function waitForTxReceipt(txHash, attempts = 60, delay = 1000) {
+function waitForTxReceipt(txHashes, attempts = 60, delay = 1000) {
+  const hashes = [].concat(txHashes)
   return new Promise((resolve, reject) => {
-    const checkForTx = async (txHash, retryAttempt = 0) => {
-      const result = await web3.eth.getTransactionReceipt(txHash)
-      if (!result || !result.blockNumber) {
+    const checkForTx = async (retryAttempt = 0) => {
+      let result
+      try {
+        const receipts = await Promise.all(hashes.map(txHash => web3.eth.getTransactionReceipt(txHash)))
+        result = receipts.find(receipt => receipt && receipt.blockNumber)
+      } catch (e) {
+        // a failing node counts as not mined yet
+      }
+      if (!result) {
         if (retryAttempt <= attempts) {
-          setTimeout(() => checkForTx(txHash, retryAttempt + 1), delay)
+          setTimeout(() => checkForTx(retryAttempt + 1), delay)
         } else {
           reject(new Error('tx was not mined'))
         }
@@ -202,7 +1817,7 @@ function waitForTxReceipt(txHash, attempts = 60, delay = 1000) {
         resolve(result)
       }
     }
-    checkForTx(txHash)
+    checkForTx()
   })
 }
 
@@ -235,36 +1850,113 @@ const POOLS = new Map([
 
 /**
  * Init web3, contracts, and snark
+ * @param poolId Pool to use (default: --pool)
+ * @param proving Whether to load the circuit and proving key, or only the verification key
  */
-async function init() {
+async function init(poolId = options.pool, { proving = true } = {}) {
   let contractJson
-  // Initialize from local node
-  web3 = new Web3('http://localhost:8588', null, { transactionConfirmationBlocks: 1 })
+  initWeb3()
   contractJson = require('./contracts/ETHTornado.json')
-  circuit = require('./circuits/withdraw.json')
-  proving_key = fs.readFileSync('circuits/withdraw_proving_key.bin').buffer
-
-  groth16 = await buildGroth16()
-
-  // set pool from args or abort
-  if (POOLS.has(options.pool)) {
-    const pool = POOLS.get(options.pool)
-    const tx = await web3.eth.getTransaction(pool.deployedTxid)
-    tornado = new web3.eth.Contract(contractJson.abi, pool.contract)
-    tornado.deployedBlock = tx.blockNumber
-    ubqAmount = pool.denomination
+  if (proving) {
+    initSnark()
   } else {
-    printHelp(1)
+    initVerifier()
   }
+  netId = await web3.eth.net.getId()
+
+  await selectPool(poolId, contractJson)
+  await initSender()
 
-  // set sender/from account or fallback to eth.accounts[0]
-  if (options.from) {
+  console.log('Loaded')
+}
+
+/** Set the sender account from the local key, --from or fallback to eth.accounts[0] */
+async function initSender() {
+  signer = await loadSigner()
+  if (signer) {
+    assert(!options.from || options.from.toLowerCase() === signer.address.toLowerCase(),
+      `--from ${options.from} is not the address of the signing key ${signer.address}`)
+    senderAccount = signer.address
+  } else if (options.from) {
     senderAccount = options.from
   } else {
     senderAccount = (await web3.eth.getAccounts())[0]
   }
+}
 
-  console.log('Loaded')
+/** Connect to the node at --rpc */
+function initWeb3() {
+  web3 = new Web3(options.rpc, null, { transactionConfirmationBlocks: 1 })
+  gasOracle = new GasOracle(web3)
+}
+
+/**
+ * Load and check the circuit, proving key and verification key.
+ * websnark's wasm prover is used unless --prover is given, falling back to snarkjs when it fails.
+ */
+function initSnark() {
+  const artifacts = new Artifacts(options, __dirname)
+  circuit = artifacts.json('circuit')
+  initVerifier(artifacts)
+  Artifacts.checkCompatible(circuit, proofVerifier.vk)
+
+  const type = options.prover || 'websnark'
+  let provingKey
+  if (type === 'snarkjs') {
+    provingKey = artifacts.provingKeyJson(proofVerifier.vk, circuit)
+  } else {
+    provingKey = artifacts.provingKey(proofVerifier.vk, circuit)
+  }
+  prover = new Prover({
+    type,
+    circuit,
+    provingKey,
+    timeout: options['proof-timeout'],
+    onProgress: printProofProgress,
+    fallback: options.prover ? undefined : () => artifacts.provingKeyJson(proofVerifier.vk, circuit)
+  })
+}
+
+/** Load and check the verification key */
+function initVerifier(artifacts = new Artifacts(options, __dirname)) {
+  proofVerifier = new ProofVerifier(artifacts.json('verificationKey'))
+}
+
+/**
+ * Init contracts and snark without a node connection, for proving on an offline machine
+ * @param poolId Pool to use
+ * @param noteNetId Network id of the note, or null to use --net-id
+ */
+function initOffline(poolId, noteNetId) {
+  netId = noteNetId !== null ? noteNetId : options['net-id']
+  assert(netId !== undefined, 'Legacy notes need --net-id in offline mode')
+  assert(POOLS.has(poolId), `There is no pool ${poolId}`)
+  web3 = new Web3()
+  initSnark()
+
+  const pool = POOLS.get(poolId)
+  tornado = new web3.eth.Contract(require('./contracts/ETHTornado.json').abi, pool.contract)
+  tornado.deployedBlock = 0
+  ubqAmount = pool.denomination
+  options.pool = poolId
+  console.log('Loaded offline')
+}
+
+/**
+ * Set the active pool or abort
+ * @param poolId Pool id
+ * @param contractJson Tornado contract artifact
+ */
+async function selectPool(poolId, contractJson = require('./contracts/ETHTornado.json')) {
+  if (!POOLS.has(poolId)) {
+    printHelp(1)
+  }
+  const pool = POOLS.get(poolId)
+  const tx = await web3.eth.getTransaction(pool.deployedTxid)
+  tornado = new web3.eth.Contract(contractJson.abi, pool.contract)
+  tornado.deployedBlock = tx.blockNumber
+  ubqAmount = pool.denomination
+  options.pool = poolId
 }
 
 // ========== CLI related stuff below ==============
@@ -275,6 +1967,87 @@ function printHelp(code = 0) {
   process.exit(code)
 }
 
+/** Fetch new pool events into the local cache */
+async function sync() {
+  const deposits = await getEvents(tornado, 'Deposit')
+  const withdrawals = await getEvents(tornado, 'Withdrawal')
+  console.log(`Pool ${options.pool}: ${deposits.length} deposits and ${withdrawals.length} withdrawals cached`)
+}
+
+/**
+ * Drop the cached events of the active pool from a block on and fetch them again, e.g. after
+ * a reorg left events in the cache that the chain no longer has
+ * @param block First block to fetch again
+ */
+async function rewind(block) {
+  assert(Number.isInteger(block) && block >= 0, '--rewind needs a block number')
+  for (const eventName of ['Deposit', 'Withdrawal']) {
+    const dropped = eventCache(tornado, eventName).rewind(block)
+    console.log(`Pool ${options.pool}: ${dropped} cached ${eventName} events from block ${block} on dropped`)
+  }
+  await sync()
+}
+
+/**
+ * Open the note vault, asking for its password unless --vault-password-file is given
+ */
+async function openVault() {
+  if (vault) {
+    return vault
+  }
+  const noteVault = new NoteVault(options.vault || path.join(options.datadir, 'vault.json'))
+  let password
+  if (options['vault-password-file']) {
+    password = fs.readFileSync(options['vault-password-file'], 'utf8').trim()
+  } else {
+    password = await prompt.password('Vault password: ')
+    if (!noteVault.exists() && password !== await prompt.password('Repeat the password for the new vault: ')) {
+      throw new Error('Passwords do not match')
+    }
+  }
+  noteVault.open(password)
+  vault = noteVault
+  return vault
+}
+
+/**
+ * Resolve the --withdraw argument, which is either a note or a vault id
+ * @param noteOrId Note string or vault id
+ */
+async function resolveNote(noteOrId) {
+  if (/^\d+$/.test(noteOrId)) {
+    return (await openVault()).get(noteOrId).note
+  }
+  return noteOrId
+}
+
+/** Run a vault command */
+async function runVaultCommand() {
+  await openVault()
+  if (options['vault-list']) {
+    if (vault.notes.length === 0) {
+      console.log('The vault is empty')
+    }
+    for (const entry of vault.notes) {
+      const { amount, netId: noteNetId } = parseNote(entry.note)
+      const status = entry.spent ? ' (spent)' : ''
+      console.log(`#${entry.id}  ${amount} UBQ  net ${noteNetId}  ${entry.createdAt}  ${entry.label}${status}`)
+    }
+  } else if (options['vault-show']) {
+    const entry = vault.get(options['vault-show'])
+    console.log(JSON.stringify(entry, null, 2))
+  } else if (options['vault-label']) {
+    vault.update(options['vault-label'], { label: options.label || '' })
+    console.log(`Label of note #${options['vault-label']} updated`)
+  } else if (options['vault-export']) {
+    fs.writeFileSync(options['vault-export'], JSON.stringify(vault.notes, null, 2), { mode: 0o600 })
+    console.log(`${vault.notes.length} notes exported unencrypted to ${options['vault-export']}`)
+  } else if (options['vault-remove']) {
+    const entry = vault.remove(options['vault-remove'])
+    console.log(`Note #${entry.id} removed from the vault`)
+  }
+}
+
 /** Print available tornado pools */
 function printPools() {
   for (var [id, pool] of POOLS) {
@@ -289,25 +2062,135 @@ async function runConsole(args) {
     await init()
     await printBalance(options.balance)
     process.exit(0)
+  } else if (options.broadcast) {
+    initWeb3()
+    await broadcast(options.broadcast)
+  } else if (options.pending) {
+    initWeb3()
+    await printPending()
+  } else if (options.resume) {
+    initWeb3()
+    await resume()
+  } else if (options['speed-up'] !== undefined || options.cancel !== undefined) {
+    initWeb3()
+    await initSender()
+    if (options['speed-up'] !== undefined) {
+      await speedUp(options['speed-up'])
+    } else {
+      await cancel(options.cancel)
+    }
   } else if (options.pools) {
     await printPools()
-  } else if (options.deposit && !options.withdraw) {
+  } else if (options.sync) {
+    await init()
+    await sync()
+  } else if (options.rewind !== undefined) {
+    await init()
+    await rewind(options.rewind)
+  } else if (options['new-mnemonic']) {
+    console.log('Your mnemonic:', NoteSeed.generateMnemonic())
+    console.log('Keep it safe, every note deposited with it can be recovered from it')
+  } else if (options.recover) {
+    await init()
+    await recover()
+  } else if (options.status) {
+    const note = parseNote(await resolveNote(options.status))
+    await init(notePool(note))
+    assertNoteNetwork(note)
+    const [status] = await getNoteStatus([note.deposit])
+    printNoteStatus('Note', status)
+  } else if (options['verify-tree']) {
+    await init()
+    await verifyTree()
+  } else if (options.compliance) {
+    const note = parseNote(await resolveNote(options.compliance))
+    await init(notePool(note))
+    assertNoteNetwork(note)
+    await compliance(note.deposit)
+  } else if (options['status-batch']) {
+    await init()
+    await statusBatch(options['status-batch'])
+  } else if (['vault-list', 'vault-show', 'vault-label', 'vault-export', 'vault-remove'].some(name => options[name])) {
+    await runVaultCommand()
+  } else if (options.deposit !== undefined && options.amount) {
+    assert(!options.deposit, 'Use either --amount or pool:count deposits')
     await init()
-    await printBalance(tornado._address, 'Tornado Pool ' + options.pool)
     await printBalance(senderAccount, 'Sender account')
-    await deposit()
+    await depositAmount(options.amount)
+    await printBalance(senderAccount, 'Sender account')
+  } else if (options.schedule || options.daemon) {
+    await init()
+    if (options.schedule) {
+      await scheduleWithdrawals(options.schedule, options.to)
+    }
+    if (options.daemon) {
+      await runDaemon()
+    }
+  } else if (options['schedule-list']) {
+    printSchedule()
+  } else if (options['withdraw-batch']) {
+    await init()
+    await withdrawBatch(options['withdraw-batch'])
+  } else if (options['withdraw-all']) {
+    assert(options.to && /^0x[0-9a-fA-F]{40}$/.test(options.to), '--withdraw-all needs a --to recipient')
+    await init()
+    await printBalance(options.to, 'Recipient account')
+    await withdrawAll(options['withdraw-all'], options.to)
+    await printBalance(options.to, 'Recipient account')
+  } else if (options.deposit !== undefined && !options.withdraw) {
+    const plan = parseDepositPlan(options.deposit)
+    await init(plan[0].pool)
+    if (plan.length > 1 || plan[0].count > 1) {
+      await printBalance(senderAccount, 'Sender account')
+      await depositBatch(plan)
+      await printBalance(senderAccount, 'Sender account')
+      return
+    }
     await printBalance(tornado._address, 'Tornado Pool ' + options.pool)
     await printBalance(senderAccount, 'Sender account')
-  } else if (options.withdraw && /^0x[0-9a-fA-F]{124}$/.test(options.withdraw) && !options.deposit) {
-    const note = options.withdraw
+    await deposit()
+    if (!options.unsigned && !options['dry-run']) {
+      await printBalance(tornado._address, 'Tornado Pool ' + options.pool)
+      await printBalance(senderAccount, 'Sender account')
+    }
+  } else if (options['verify-proof']) {
+    initVerifier()
+    verifyProofFile(options['verify-proof'])
+  } else if (options['submit-proof']) {
+    await submitProof(options['submit-proof'])
+  } else if (options.withdraw && options.deposit === undefined && (options.offline || options['proof-out'])) {
+    // prove only, the proof is written to a file and sent later with --submit-proof
+    const note = parseNote(await resolveNote(options.withdraw))
+    if (options.to && /^0x[0-9a-fA-F]{40}$/.test(options.to) && options['proof-out']) {
+      if (options.offline) {
+        initOffline(notePool(note), note.netId)
+      } else {
+        await init(notePool(note))
+        assertNoteNetwork(note)
+      }
+      const relayer = options.relayer || 0
+      const fee = options.fee ? toWei(options.fee) : 0
+      assert(options['max-fee'] === undefined || web3.utils.toBN(fee).lte(web3.utils.toBN(toWei(options['max-fee']))),
+        `The relayer fee ${options.fee} UBQ is above --max-fee ${options['max-fee']} UBQ`)
+      exportProof(options['proof-out'], await generateProof(tornado, note.deposit, options.to, relayer, fee))
+    } else {
+      printHelp(1)
+    }
+  } else if (options.withdraw && options.deposit === undefined) {
+    const note = parseNote(await resolveNote(options.withdraw))
     if (options.to && /^0x[0-9a-fA-F]{40}$/.test(options.to)) {
-      await init()
+      await init(notePool(note))
+      assertNoteNetwork(note)
       await printBalance(tornado._address, 'Tornado Pool ' + options.pool)
       await printBalance(options.to, 'Recipient account')
-      if (options.relay) {
-        await withdrawRelay(note, options.to, options.relay)
+      if (useRelayers()) {
+        assert(!options.unsigned, 'Relayed withdrawals are sent by the relayer, --unsigned does not apply')
+        await withdrawRelay(note.deposit, options.to, relayerRegistry(), withdrawVaultId())
       } else {
-        await withdraw(note, options.to)
+        await withdraw(note.deposit, options.to, withdrawVaultId())
+      }
+      if (options.unsigned || options['dry-run']) {
+        return
       }
       await printBalance(tornado._address, 'Tornado Pool ' + options.pool)
       await printBalance(options.to, 'Recipient account')